@@ -0,0 +1,302 @@
+/**
+ * FAQ Accordion
+ * 
+ * Features:
+ * 1. One item open at a time, or several with data-faq-mode="multiple"
+ * 2. "Expand all / Collapse all" buttons (aria-controls names the list)
+ * 3. Measured-height animation that respects prefers-reduced-motion
+ * 4. Closed answers (named by aria-controls) are hidden and inert
+ * 5. ARIA attribute management for accessibility
+ * 6. ES module exporting init(list) / destroy() for the `accordion`
+ *    component (registered in JS/main.js), so lists added later work too,
+ *    and `faq` for opening and closing questions from other code
+ */
+
+// ==========================================================================
+// Configuration
+// ==========================================================================
+
+const FAQ_CONFIG = {
+  animationDuration: 300,
+  selectors: {
+    list: '.faq__list',
+    question: '.faq__question',
+    toggleAll: '.faq__toggle-all'
+  },
+  // <div class="faq__list" data-faq-mode="multiple"> lets several answers stay open
+  modes: {
+    single: 'single',
+    multiple: 'multiple'
+  }
+};
+
+// ==========================================================================
+// State
+// ==========================================================================
+
+// Running height animation per answer, so a new toggle can take over mid-way
+const animations = new WeakMap();
+
+// ==========================================================================
+// Utility Functions
+// ==========================================================================
+
+/**
+ * Check if the user prefers reduced motion
+ * @returns {boolean}
+ */
+function prefersReducedMotion() {
+  return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+/**
+ * Whether a list allows several open answers
+ * @param {HTMLElement} list - The .faq__list element
+ * @returns {boolean}
+ */
+function isMultiple(list) {
+  return list.dataset.faqMode === FAQ_CONFIG.modes.multiple;
+}
+
+/**
+ * Get the answer region a question controls
+ * @param {HTMLElement} question - The .faq__question button
+ * @returns {HTMLElement|null}
+ */
+function getAnswer(question) {
+  return document.getElementById(question.getAttribute('aria-controls'));
+}
+
+/**
+ * Find the question button that controls an answer id
+ * @param {string} answerId
+ * @returns {HTMLElement|null}
+ */
+function getQuestion(answerId) {
+  return document.querySelector(`${FAQ_CONFIG.selectors.question}[aria-controls="${CSS.escape(answerId)}"]`);
+}
+
+// ==========================================================================
+// Answer Animation
+// ==========================================================================
+
+/**
+ * Show or hide an answer, animating its height from the measured current size.
+ * Closed answers are hidden and inert so their links leave the tab order.
+ * @param {HTMLElement} answer
+ * @param {boolean} isExpanded
+ */
+function animateAnswer(answer, isExpanded) {
+  const startHeight = answer.hidden ? 0 : answer.getBoundingClientRect().height;
+
+  const running = animations.get(answer);
+  if (running) {
+    animations.delete(answer);
+    running.cancel();
+  }
+
+  answer.inert = !isExpanded;
+  if (isExpanded) answer.hidden = false;
+
+  if (prefersReducedMotion() || typeof answer.animate !== 'function') {
+    answer.hidden = !isExpanded;
+    return;
+  }
+
+  const endHeight = isExpanded ? answer.scrollHeight : 0;
+  const animation = answer.animate([
+    { height: `${startHeight}px`, opacity: isExpanded ? 0 : 1 },
+    { height: `${endHeight}px`, opacity: isExpanded ? 1 : 0 }
+  ], {
+    duration: FAQ_CONFIG.animationDuration,
+    easing: 'cubic-bezier(0.4, 0, 0.2, 1)'
+  });
+
+  animations.set(answer, animation);
+  animation.addEventListener('finish', () => {
+    if (animations.get(answer) !== animation) return;
+    animations.delete(answer);
+    if (!isExpanded) answer.hidden = true;
+  });
+}
+
+// ==========================================================================
+// Open / Close
+// ==========================================================================
+
+/**
+ * Set a question's expanded state and notify listeners
+ * @param {HTMLElement} question - The .faq__question button
+ * @param {boolean} isExpanded
+ * @param {string} trigger - What caused the change; passed on in `faq:toggle`
+ */
+function setExpanded(question, isExpanded, trigger) {
+  if ((question.getAttribute('aria-expanded') === 'true') === isExpanded) return;
+
+  question.setAttribute('aria-expanded', isExpanded.toString());
+
+  const answer = getAnswer(question);
+  if (answer) animateAnswer(answer, isExpanded);
+
+  question.dispatchEvent(new CustomEvent('faq:toggle', {
+    bubbles: true,
+    detail: { id: question.getAttribute('aria-controls'), expanded: isExpanded, trigger }
+  }));
+}
+
+/**
+ * Open or close a question, closing the others in single-mode lists
+ * @param {HTMLElement} question - The .faq__question button
+ * @param {boolean} isExpanded
+ * @param {string} trigger - See setExpanded
+ */
+function toggleQuestion(question, isExpanded, trigger) {
+  const faqContainer = question.closest(FAQ_CONFIG.selectors.list);
+
+  // Close all other items IN THIS LIST
+  if (isExpanded && faqContainer && !isMultiple(faqContainer)) {
+    faqContainer.querySelectorAll(FAQ_CONFIG.selectors.question).forEach(otherQuestion => {
+      if (otherQuestion !== question) setExpanded(otherQuestion, false, trigger);
+    });
+  }
+
+  setExpanded(question, isExpanded, trigger);
+}
+
+/**
+ * Open or close every question in a list
+ * @param {HTMLElement} list - The .faq__list element
+ * @param {boolean} isExpanded
+ * @param {string} trigger - See setExpanded
+ */
+function setAllExpanded(list, isExpanded, trigger) {
+  const questions = Array.from(list.querySelectorAll(FAQ_CONFIG.selectors.question));
+
+  // A single-mode list can only show its first answer
+  if (isExpanded && !isMultiple(list)) {
+    if (questions[0]) toggleQuestion(questions[0], true, trigger);
+    return;
+  }
+
+  questions.forEach(question => setExpanded(question, isExpanded, trigger));
+}
+
+/**
+ * Disable "Expand all" when everything is open and "Collapse all" when nothing is
+ */
+function updateToggleAllButtons() {
+  document.querySelectorAll(FAQ_CONFIG.selectors.toggleAll).forEach(button => {
+    const list = document.getElementById(button.getAttribute('aria-controls'));
+    if (!list) return;
+
+    const questions = Array.from(list.querySelectorAll(FAQ_CONFIG.selectors.question));
+    const openCount = questions.filter(question => question.getAttribute('aria-expanded') === 'true').length;
+    const isExpandButton = button.dataset.faqAction === 'expand';
+
+    button.disabled = isExpandButton ? openCount === questions.length : openCount === 0;
+  });
+}
+
+// ==========================================================================
+// Initialization
+// ==========================================================================
+
+/**
+ * Set up one list: sync answers with their questions and listen for toggles
+ * @param {HTMLElement} list - The .faq__list element
+ * @returns {AbortController} Removes the list's listeners
+ */
+export function init(list) {
+  const listeners = new AbortController();
+  const { signal } = listeners;
+
+  list.querySelectorAll(FAQ_CONFIG.selectors.question).forEach(question => {
+    const answer = getAnswer(question);
+    if (!answer) return;
+
+    const isExpanded = question.getAttribute('aria-expanded') === 'true';
+    answer.hidden = !isExpanded;
+    answer.inert = !isExpanded;
+
+    // Regions are labelled by their question
+    const labelId = answer.getAttribute('aria-labelledby');
+    if (labelId && !question.id) question.id = labelId;
+  });
+
+  list.addEventListener('click', event => {
+    const question = event.target.closest(FAQ_CONFIG.selectors.question);
+    if (!question || !list.contains(question)) return;
+
+    const isExpanded = question.getAttribute('aria-expanded') === 'true';
+    toggleQuestion(question, !isExpanded, 'user');
+  }, { signal });
+
+  if (list.id) {
+    document.querySelectorAll(`${FAQ_CONFIG.selectors.toggleAll}[aria-controls="${CSS.escape(list.id)}"]`)
+      .forEach(button => {
+        button.addEventListener('click', () => setAllExpanded(list, button.dataset.faqAction === 'expand', 'toggle-all'), { signal });
+        button.closest('[hidden]')?.removeAttribute('hidden');
+      });
+    updateToggleAllButtons();
+  }
+
+  console.log(`FAQ Accordion initialized for #${list.id || 'list'}`);
+  return listeners;
+}
+
+/**
+ * Stop listening to a list; its questions keep their current state
+ * @param {HTMLElement} list
+ * @param {AbortController} listeners - As returned by init
+ */
+export function destroy(list, listeners) {
+  if (listeners) listeners.abort();
+}
+
+document.addEventListener('faq:toggle', updateToggleAllButtons);
+
+// ==========================================================================
+// Public API
+// ==========================================================================
+
+// Questions clicked by the user toggle with trigger 'user' and the Expand /
+// Collapse all buttons with 'toggle-all'; code passes its own, e.g. 'search'
+export const faq = {
+  /**
+   * Open the question controlling an answer id
+   * @param {string} answerId
+   * @param {Object} [options]
+   * @param {string} [options.trigger='api'] - Passed on in `faq:toggle`
+   */
+  open(answerId, { trigger = 'api' } = {}) {
+    const question = getQuestion(answerId);
+    if (question) toggleQuestion(question, true, trigger);
+  },
+  /**
+   * Close the question controlling an answer id
+   * @param {string} answerId
+   * @param {Object} [options]
+   * @param {string} [options.trigger='api'] - Passed on in `faq:toggle`
+   */
+  close(answerId, { trigger = 'api' } = {}) {
+    const question = getQuestion(answerId);
+    if (question) toggleQuestion(question, false, trigger);
+  },
+  /**
+   * Open every question in a list (only the first in single-mode lists)
+   * @param {HTMLElement} list - The .faq__list element
+   * @param {Object} [options]
+   * @param {string} [options.trigger='api'] - Passed on in `faq:toggle`
+   */
+  expandAll: (list, { trigger = 'api' } = {}) => setAllExpanded(list, true, trigger),
+  /**
+   * Close every question in a list
+   * @param {HTMLElement} list - The .faq__list element
+   * @param {Object} [options]
+   * @param {string} [options.trigger='api'] - Passed on in `faq:toggle`
+   */
+  collapseAll: (list, { trigger = 'api' } = {}) => setAllExpanded(list, false, trigger),
+  /** @returns {string[]} Answer ids of every open question */
+  getOpenIds: () => Array.from(document.querySelectorAll(`${FAQ_CONFIG.selectors.question}[aria-expanded="true"]`))
+    .map(question => question.getAttribute('aria-controls'))
+};
@@ -0,0 +1,451 @@
+/**
+ * Analytics
+ *
+ * Features:
+ * 1. Structured events for mega menu opens, carousel slides the visitor
+ *    moves to (not autoplay), FAQ questions the visitor opens or closes (not
+ *    search, URL restore or Expand/Collapse all), pill clicks and CTA clicks
+ * 2. Pluggable sinks ({ name, send(events, { isUnloading }) }) that receive
+ *    events in batches
+ * 3. Batches flush when full, on a timer, and with navigator.sendBeacon when
+ *    the page is hidden or unloaded
+ * 4. A consent banner: neither `window.dataLayer` nor any sink receives
+ *    anything until the visitor accepts; events from before that are held
+ *    back, and dropped if they decline
+ * 5. An in-memory sink for asserting on events in tests
+ *
+ * Events are listened for on the document (megamenu:open, slidechange,
+ * faq:toggle, clicks), so the modules that cause them need no changes.
+ */
+
+(function () {
+  'use strict';
+
+  // ==========================================================================
+  // Configuration
+  // ==========================================================================
+
+  const ANALYTICS_CONFIG = {
+    endpoint: '/api/events',
+    batchSize: 10,
+    flushInterval: 5000,
+    // Events kept while waiting for consent
+    maxPending: 100,
+    storageKey: 'flexiple:analytics-consent',
+    selectors: {
+      banner: '.consent-banner',
+      accept: '[data-consent="accept"]',
+      decline: '[data-consent="decline"]',
+      openBanner: '[data-consent-open]'
+    },
+    consent: {
+      granted: 'granted',
+      denied: 'denied'
+    }
+  };
+
+  /**
+   * Click tracking, first match wins.
+   * - selector: elements that count
+   * - event:    event name
+   * - data:     event properties for the clicked element
+   */
+  const CLICK_EVENTS = [
+    {
+      selector: '.pill',
+      event: 'pill_click',
+      data: element => ({
+        label: getLabel(element),
+        skill: element.dataset.skill || null,
+        menu: element.closest('[data-mega-menu]')?.dataset.megaMenu || null
+      })
+    },
+    {
+      selector: [
+        '.btn',
+        '.hero__cta',
+        '.promo-card__cta',
+        '.profile-card__cta',
+        '.access-card__cta',
+        '.gb-scroll-btn',
+        '.mega-section',
+        '.mega-card',
+        '.mega-menu__footer-cta',
+        '.quote-form__submit',
+        '.shortlist-tray__compare'
+      ].join(', '),
+      event: 'cta_click',
+      data: element => ({
+        label: getLabel(element),
+        href: element.getAttribute('href'),
+        location: getLocation(element)
+      })
+    }
+  ];
+
+  // ==========================================================================
+  // State
+  // ==========================================================================
+
+  window.dataLayer = window.dataLayer || [];
+
+  const sinks = new Map();
+  // Events waiting for the next flush (or for consent)
+  let queue = [];
+  let flushTimer = null;
+  let consent = null;
+  // Last slide seen per carousel; layout passes re-announce the same slide
+  const lastSlides = new WeakMap();
+
+  // ==========================================================================
+  // DOM References
+  // ==========================================================================
+
+  const banner = document.querySelector(ANALYTICS_CONFIG.selectors.banner);
+
+  // ==========================================================================
+  // Utility Functions
+  // ==========================================================================
+
+  /**
+   * Short visible label of a clicked element
+   * @param {HTMLElement} element
+   * @returns {string}
+   */
+  function getLabel(element) {
+    const title = element.querySelector('.mega-section__title, .mega-card__title');
+    const text = title ? title.textContent : element.getAttribute('aria-label') || element.textContent;
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Where on the page an element is: its mega menu, section or landmark
+   * @param {HTMLElement} element
+   * @returns {string|null}
+   */
+  function getLocation(element) {
+    const menu = element.closest('[data-mega-menu]');
+    if (menu) return `menu:${menu.dataset.megaMenu}`;
+
+    const region = element.closest('[data-dialog], section[class], header, footer, aside');
+    if (!region) return null;
+    if (region.dataset.dialog) return `dialog:${region.dataset.dialog}`;
+    return region.classList[0] || region.tagName.toLowerCase();
+  }
+
+  /**
+   * Read the stored consent choice
+   * @returns {string|null}
+   */
+  function loadConsent() {
+    try {
+      return window.localStorage.getItem(ANALYTICS_CONFIG.storageKey);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Store the consent choice
+   * @param {string} value
+   */
+  function saveConsent(value) {
+    try {
+      window.localStorage.setItem(ANALYTICS_CONFIG.storageKey, value);
+    } catch (error) {
+      console.warn('Analytics: could not save the consent choice', error);
+    }
+  }
+
+  // ==========================================================================
+  // Sinks
+  // ==========================================================================
+
+  /**
+   * Sink that POSTs batches to an endpoint, using sendBeacon while the page unloads
+   * @param {Object} [options]
+   * @param {string} [options.endpoint]
+   * @returns {{name: string, send: Function}}
+   */
+  function createBeaconSink({ endpoint = ANALYTICS_CONFIG.endpoint } = {}) {
+    return {
+      name: 'beacon',
+      send(events, { isUnloading = false } = {}) {
+        const body = JSON.stringify({ events });
+
+        if (isUnloading && typeof navigator.sendBeacon === 'function') {
+          const blob = new Blob([body], { type: 'application/json' });
+          if (navigator.sendBeacon(endpoint, blob)) return Promise.resolve();
+        }
+
+        return fetch(endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body,
+          keepalive: true
+        }).then(response => {
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+        });
+      }
+    };
+  }
+
+  /**
+   * Sink that keeps every event it receives, for tests
+   * @param {string} [name='memory']
+   * @returns {{name: string, events: Object[], batches: number, send: Function, clear: Function}}
+   */
+  function createMemorySink(name = 'memory') {
+    return {
+      name,
+      events: [],
+      batches: 0,
+      send(events) {
+        this.batches += 1;
+        this.events.push(...events);
+      },
+      clear() {
+        this.events = [];
+        this.batches = 0;
+      }
+    };
+  }
+
+  /**
+   * Register a sink, replacing any sink with the same name
+   * @param {{name: string, send: Function}} sink
+   */
+  function addSink(sink) {
+    if (!sink || typeof sink.send !== 'function') {
+      throw new TypeError('Analytics: a sink needs a send(events) method');
+    }
+    sinks.set(sink.name, sink);
+  }
+
+  /**
+   * @param {string} name
+   */
+  function removeSink(name) {
+    sinks.delete(name);
+  }
+
+  // ==========================================================================
+  // Tracking & Delivery
+  // ==========================================================================
+
+  /**
+   * Record an event
+   * @param {string} name - snake_case event name
+   * @param {Object} [data]
+   * @returns {Object} The event (pushed to the dataLayer once consent is granted)
+   */
+  function track(name, data = {}) {
+    const event = {
+      event: name,
+      ...data,
+      page: window.location.pathname,
+      timestamp: new Date().toISOString()
+    };
+
+    if (consent === ANALYTICS_CONFIG.consent.denied) return event;
+
+    queue.push(event);
+    if (consent !== ANALYTICS_CONFIG.consent.granted) {
+      // Keep only the most recent events until the visitor decides
+      queue = queue.slice(-ANALYTICS_CONFIG.maxPending);
+      return event;
+    }
+
+    // Tag managers read the dataLayer, so it sits behind consent too
+    window.dataLayer.push(event);
+
+    if (queue.length >= ANALYTICS_CONFIG.batchSize) {
+      flush();
+    } else if (!flushTimer) {
+      flushTimer = setTimeout(flush, ANALYTICS_CONFIG.flushInterval);
+    }
+    return event;
+  }
+
+  /**
+   * Send queued events to every sink (only once consent is granted)
+   * @param {Object} [options]
+   * @param {boolean} [options.isUnloading=false] - The page is being hidden or unloaded
+   */
+  function flush({ isUnloading = false } = {}) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+
+    if (consent !== ANALYTICS_CONFIG.consent.granted || queue.length === 0) return;
+
+    const batch = queue;
+    queue = [];
+
+    sinks.forEach(sink => {
+      try {
+        Promise.resolve(sink.send(batch.slice(), { isUnloading })).catch(error => {
+          console.warn(`Analytics: sink "${sink.name}" failed`, error);
+        });
+      } catch (error) {
+        console.warn(`Analytics: sink "${sink.name}" failed`, error);
+      }
+    });
+  }
+
+  // ==========================================================================
+  // Consent
+  // ==========================================================================
+
+  /**
+   * Record the visitor's choice; accepting releases held events, declining drops them
+   * @param {boolean} isGranted
+   */
+  function setConsent(isGranted) {
+    const { granted, denied } = ANALYTICS_CONFIG.consent;
+    consent = isGranted ? granted : denied;
+    saveConsent(consent);
+    hideBanner();
+
+    if (isGranted) {
+      queue.forEach(event => window.dataLayer.push(event));
+      flush();
+    } else {
+      queue = [];
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+  }
+
+  /**
+   * Show the consent banner
+   */
+  function showBanner() {
+    if (banner) banner.hidden = false;
+  }
+
+  /**
+   * Hide the consent banner
+   */
+  function hideBanner() {
+    if (banner) banner.hidden = true;
+  }
+
+  // ==========================================================================
+  // Event Handlers
+  // ==========================================================================
+
+  /**
+   * Track clicks on pills and CTAs, and handle the consent buttons
+   * @param {MouseEvent} event
+   */
+  function handleClick(event) {
+    const { selectors } = ANALYTICS_CONFIG;
+
+    if (event.target.closest(selectors.accept)) {
+      setConsent(true);
+      return;
+    }
+    if (event.target.closest(selectors.decline)) {
+      setConsent(false);
+      return;
+    }
+    if (event.target.closest(selectors.openBanner)) {
+      showBanner();
+      return;
+    }
+
+    for (const definition of CLICK_EVENTS) {
+      const element = event.target.closest(definition.selector);
+      if (element) {
+        track(definition.event, definition.data(element));
+        return;
+      }
+    }
+  }
+
+  // ==========================================================================
+  // Public API
+  // ==========================================================================
+
+  window.Flexiple = window.Flexiple || {};
+  window.Flexiple.analytics = {
+    track,
+    flush,
+    addSink,
+    removeSink,
+    createBeaconSink,
+    createMemorySink,
+    setConsent,
+    /** @returns {string|null} 'granted', 'denied' or null when undecided */
+    getConsent: () => consent,
+    showBanner
+  };
+
+  // ==========================================================================
+  // Initialization
+  // ==========================================================================
+
+  /**
+   * Initialize analytics
+   */
+  function initAnalytics() {
+    consent = loadConsent();
+    if (!consent) showBanner();
+
+    addSink(createBeaconSink());
+
+    document.addEventListener('megamenu:open', event => {
+      const { menu } = event.detail;
+      // Re-hovering the open item dispatches again; count real opens only
+      if (menu && !event.detail.navItem.classList.contains('is-active')) {
+        track('menu_open', { menu: menu.dataset.megaMenu || menu.id });
+      }
+    });
+
+    document.addEventListener('slidechange', event => {
+      const { carousel, slide, totalSlides, trigger } = event.detail;
+      const previousSlide = lastSlides.has(carousel) ? lastSlides.get(carousel) : 0;
+      lastSlides.set(carousel, slide);
+      // Autoplay would log a slide every few seconds on an idle page
+      if (slide === previousSlide || trigger !== 'user') return;
+
+      track('carousel_slide', {
+        carousel: carousel.root.dataset.carousel || null,
+        slide: slide + 1,
+        totalSlides
+      });
+    });
+
+    document.addEventListener('faq:toggle', event => {
+      const { id, expanded, trigger } = event.detail;
+      if (trigger !== 'user') return;
+
+      const question = document.querySelector(`[aria-controls="${CSS.escape(id)}"]`);
+      track('faq_toggle', {
+        id,
+        expanded,
+        question: question ? question.textContent.replace(/\s+/g, ' ').trim() : null
+      });
+    });
+
+    document.addEventListener('click', handleClick);
+
+    // Last chance to deliver before the page goes away
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') flush({ isUnloading: true });
+    });
+    window.addEventListener('pagehide', () => flush({ isUnloading: true }));
+
+    console.log(`Analytics initialized (consent: ${consent || 'pending'})`);
+  }
+
+  // Run on DOM ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initAnalytics);
+  } else {
+    initAnalytics();
+  }
+
+})();
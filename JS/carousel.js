@@ -0,0 +1,966 @@
+/**
+ * Carousel
+ *
+ * Reusable, multi-instance carousel. Every `data-component="carousel"`
+ * element is initialized through the component registry (JS/main.js),
+ * including ones added later. Other modules can import the class:
+ *
+ *   import { Carousel } from './carousel.js';
+ *   const brands = new Carousel(element, { cardsPerView: { desktop: 6, tablet: 4, mobile: 2 } });
+ *
+ * Features:
+ * 1. Cards per view per breakpoint (3 / 2 / 1 for the testimonials)
+ * 2. Proper grouping logic - last slide reuses previous cards if needed
+ * 3. Optional looping (wrap-around or seamless infinite), auto-play and
+ *    touch swipe / mouse drag
+ * 4. Previous/next buttons, pause/play toggle, indicators and a live region
+ * 5. Off-screen cards are aria-hidden and inert; auto-play pauses on hover,
+ *    focus, hidden tabs and prefers-reduced-motion
+ * 6. Page-by-page or card-by-card stepping
+ * 7. Public API: next(), prev(), goTo(), play(), pause(), destroy()
+ *    and a bubbling `slidechange` event
+ *
+ * Data attributes (on the root element):
+ *   data-carousel="name"          Instance name (carousels.get(name))
+ *   data-cards-per-view="3,2,1"   Desktop, tablet, mobile
+ *   data-loop="false"             Stop at the first/last slide
+ *   data-loop="infinite"          Seamless loop: edge cards are cloned so the
+ *                                 track always moves the same way
+ *   data-step="card"              Move one card at a time instead of a page
+ *   data-autoplay="5000"          Auto-play interval in ms (0 or absent = off)
+ *   data-swipe="false"            Disable swipe / drag
+ */
+
+import { onResize } from './viewport.js';
+
+// ==========================================================================
+// Configuration
+// ==========================================================================
+
+const CAROUSEL_DEFAULTS = {
+  cardsPerView: {
+    desktop: 3,
+    tablet: 2,
+    mobile: 1
+  },
+  breakpoints: {
+    tablet: 768,
+    mobile: 480
+  },
+  // true: wrap from the last slide to the first (and back)
+  // 'infinite': keep moving the same way past cloned edge cards
+  // false: stop at the ends
+  loop: true,
+  // 'page' moves by cardsPerView cards, 'card' by a single card
+  step: 'page',
+  // Auto-play interval in ms; 0 disables auto-play
+  autoplay: 0,
+  swipe: {
+    enabled: true,
+    // Fraction of the track width a drag must cover to change slide
+    distanceThreshold: 0.2,
+    // Release speed (px/ms) that changes slide regardless of distance
+    velocityThreshold: 0.4,
+    // Movement (px) before deciding between horizontal drag and vertical scroll
+    directionLockThreshold: 8,
+    // How far the track follows past the first/last slide (0-1)
+    rubberBandFactor: 0.3
+  },
+  // Looked up inside the root element; missing optional controls are skipped
+  selectors: {
+    track: '.carousel__track',
+    indicators: '.carousel__indicators',
+    prevButton: '.carousel__control--prev',
+    nextButton: '.carousel__control--next',
+    toggleButton: '.carousel__control--toggle',
+    status: '.carousel__status'
+  },
+  labels: {
+    pause: 'Pause automatic slide show',
+    play: 'Play automatic slide show',
+    indicator: slide => `Go to slide ${slide}`,
+    status: (slide, total) => `Slide ${slide} of ${total}`
+  },
+  classes: {
+    indicator: 'carousel__indicator',
+    activeIndicator: 'carousel__indicator--active',
+    dragging: 'carousel__track--dragging',
+    clone: 'carousel__clone',
+    playing: 'is-playing'
+  }
+};
+
+// Live instances, keyed by data-carousel name
+export const carousels = new Map();
+
+// ==========================================================================
+// Utility Functions
+// ==========================================================================
+
+/**
+ * Read carousel options from data attributes
+ * @param {HTMLElement} root
+ * @returns {Object}
+ */
+function getDataOptions(root) {
+  const { dataset } = root;
+  const options = {};
+
+  if (dataset.cardsPerView) {
+    const [desktop, tablet, mobile] = dataset.cardsPerView.split(',').map(value => parseInt(value, 10));
+    options.cardsPerView = {
+      desktop: desktop || CAROUSEL_DEFAULTS.cardsPerView.desktop,
+      tablet: tablet || desktop || CAROUSEL_DEFAULTS.cardsPerView.tablet,
+      mobile: mobile || tablet || desktop || CAROUSEL_DEFAULTS.cardsPerView.mobile
+    };
+  }
+  if (dataset.loop !== undefined) {
+    options.loop = dataset.loop === 'infinite' ? 'infinite' : dataset.loop !== 'false';
+  }
+  if (dataset.step !== undefined) {
+    options.step = dataset.step === 'card' ? 'card' : 'page';
+  }
+  if (dataset.autoplay !== undefined) {
+    options.autoplay = parseInt(dataset.autoplay, 10) || 0;
+  }
+  if (dataset.swipe !== undefined) {
+    options.swipe = { enabled: dataset.swipe !== 'false' };
+  }
+
+  return options;
+}
+
+/**
+ * Merge options one level deep over the defaults
+ * @param {Object} options
+ * @returns {Object}
+ */
+function mergeOptions(options) {
+  const merged = { ...CAROUSEL_DEFAULTS, ...options };
+
+  ['cardsPerView', 'breakpoints', 'swipe', 'selectors', 'labels', 'classes'].forEach(key => {
+    merged[key] = { ...CAROUSEL_DEFAULTS[key], ...(options[key] || {}) };
+  });
+
+  return merged;
+}
+
+/**
+ * Longest transition duration of an element, in ms
+ * @param {HTMLElement} element
+ * @returns {number}
+ */
+function getTransitionDuration(element) {
+  return Math.max(...window.getComputedStyle(element).transitionDuration.split(',').map(value => {
+    const duration = parseFloat(value) || 0;
+    return value.trim().endsWith('ms') ? duration : duration * 1000;
+  }));
+}
+
+// ==========================================================================
+// Carousel
+// ==========================================================================
+
+export class Carousel {
+  /**
+   * @param {HTMLElement} root - Element containing the track and controls
+   * @param {Object} [options] - Overrides for CAROUSEL_DEFAULTS (data attributes win)
+   */
+  constructor(root, options = {}) {
+    this.root = root;
+    this.options = mergeOptions({ ...options, ...getDataOptions(root) });
+
+    const { selectors } = this.options;
+    this.track = root.querySelector(selectors.track);
+    this.indicatorsContainer = root.querySelector(selectors.indicators);
+    this.prevButton = root.querySelector(selectors.prevButton);
+    this.nextButton = root.querySelector(selectors.nextButton);
+    this.toggleButton = root.querySelector(selectors.toggleButton);
+    this.statusElement = root.querySelector(selectors.status);
+    this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+    this.cards = this.track ? Array.from(this.track.children) : [];
+    // Copies of the edge cards used by the infinite loop
+    this.clones = [];
+    this.indicators = [];
+    this.currentSlide = 0;
+    this.totalSlides = 0;
+    this.cardsPerView = this.options.cardsPerView.desktop;
+
+    this.autoPlayTimer = null;
+    // User preference from the pause/play button (off by default for reduced motion)
+    this.isAutoPlayEnabled = this.options.autoplay > 0 && !this.reducedMotionQuery.matches;
+    // Temporary pauses while the user is interacting with the carousel
+    this.isHovered = false;
+    this.hasFocus = false;
+
+    // Active pointer gesture, or null
+    this.drag = null;
+    // Swallow the click that follows a real drag
+    this.suppressClick = false;
+
+    // Infinite loop: the track is on a clone and must jump back to the real card
+    this.isLoopResetPending = false;
+    this.loopResetTimer = null;
+
+    // Set while subscribed to the shared resize service
+    this.unsubscribeResize = null;
+    // Aborting removes every listener added with this signal
+    this.listeners = new AbortController();
+
+    this.init();
+
+    // Named instances are reachable through `carousels`
+    const name = root.dataset.carousel;
+    if (name && !carousels.has(name)) carousels.set(name, this);
+  }
+
+  // ========================================================================
+  // Public API
+  // ========================================================================
+
+  /**
+   * Number of slides at the current breakpoint
+   * @returns {number}
+   */
+  get slideCount() {
+    return this.totalSlides;
+  }
+
+  /**
+   * Go to a specific slide
+   * @param {number} slideIndex
+   * @param {Object} [options]
+   * @param {'user' | 'autoplay' | 'layout' | 'restore'} [options.trigger='user'] - Passed on in `slidechange`
+   */
+  goTo(slideIndex, { trigger = 'user' } = {}) {
+    if (!this.track || this.totalSlides === 0) return;
+
+    this.finishLoopReset();
+
+    // Card the track animates to when it runs onto the clones past an edge
+    let edgePosition = null;
+
+    if (this.isInfinite()) {
+      if (slideIndex >= this.totalSlides) {
+        slideIndex = 0;
+        edgePosition = this.cards.length;
+      } else if (slideIndex < 0) {
+        slideIndex = this.totalSlides - 1;
+        edgePosition = this.calculateStartCardIndex(slideIndex) - this.cards.length;
+      }
+    } else if (this.options.loop) {
+      if (slideIndex < 0) slideIndex = this.totalSlides - 1;
+      if (slideIndex >= this.totalSlides) slideIndex = 0;
+    } else {
+      slideIndex = Math.min(Math.max(slideIndex, 0), this.totalSlides - 1);
+    }
+
+    this.currentSlide = slideIndex;
+
+    if (edgePosition === null) {
+      this.setTrackPosition(this.calculateStartCardIndex(this.currentSlide));
+    } else {
+      this.setTrackPosition(edgePosition);
+      this.scheduleLoopReset();
+    }
+
+    this.updateIndicators();
+    this.updateCardVisibility();
+    this.updateControls();
+    this.updateStatus();
+
+    this.root.dispatchEvent(new CustomEvent('slidechange', {
+      bubbles: true,
+      detail: { carousel: this, slide: this.currentSlide, totalSlides: this.totalSlides, trigger }
+    }));
+  }
+
+  /**
+   * Go to next slide
+   */
+  next() {
+    this.goTo(this.currentSlide + 1);
+  }
+
+  /**
+   * Go to previous slide
+   */
+  prev() {
+    this.goTo(this.currentSlide - 1);
+  }
+
+  /**
+   * Turn auto-play on (as if the user pressed play)
+   */
+  play() {
+    this.isAutoPlayEnabled = true;
+    this.startAutoPlay();
+  }
+
+  /**
+   * Turn auto-play off (as if the user pressed pause)
+   */
+  pause() {
+    this.isAutoPlayEnabled = false;
+    this.startAutoPlay();
+  }
+
+  /**
+   * Remove listeners, timers and inline state added by this instance
+   */
+  destroy() {
+    this.listeners.abort();
+    this.stopAutoPlay();
+    if (this.unsubscribeResize) this.unsubscribeResize();
+    clearTimeout(this.loopResetTimer);
+    this.removeClones();
+
+    if (this.track) {
+      this.track.style.transform = '';
+      this.track.style.transition = '';
+      this.track.classList.remove(this.options.classes.dragging);
+    }
+    this.cards.forEach(card => {
+      card.removeAttribute('aria-hidden');
+      card.inert = false;
+    });
+    this.root.style.removeProperty('--carousel-cards-per-view');
+
+    const name = this.root.dataset.carousel;
+    if (name && carousels.get(name) === this) {
+      carousels.delete(name);
+    }
+  }
+
+  // ========================================================================
+  // Layout
+  // ========================================================================
+
+  /**
+   * Get number of cards to show based on viewport
+   * @returns {number}
+   */
+  getCardsPerView() {
+    const width = window.innerWidth;
+    const { breakpoints, cardsPerView } = this.options;
+
+    if (width <= breakpoints.mobile) {
+      return cardsPerView.mobile;
+    }
+    if (width <= breakpoints.tablet) {
+      return cardsPerView.tablet;
+    }
+    return cardsPerView.desktop;
+  }
+
+  /**
+   * Whether the seamless infinite loop is active (needs more cards than fit)
+   * @returns {boolean}
+   */
+  isInfinite() {
+    return this.options.loop === 'infinite' && this.cards.length > this.cardsPerView;
+  }
+
+  /**
+   * Number of cards a single step moves
+   * @returns {number}
+   */
+  getStepSize() {
+    return this.options.step === 'card' ? 1 : this.cardsPerView;
+  }
+
+  /**
+   * Calculate total number of slides
+   * With proper grouping: if 7 cards and 3 per view, we need 3 slides:
+   * Slide 0: cards 0,1,2
+   * Slide 1: cards 3,4,5
+   * Slide 2: cards 4,5,6 (reuses previous cards to always show 3)
+   * In infinite mode slide 2 shows cards 6,0,1 instead.
+   * @returns {number}
+   */
+  calculateTotalSlides() {
+    const totalCards = this.cards.length;
+    if (totalCards <= this.cardsPerView) return 1;
+
+    const step = this.getStepSize();
+    if (this.isInfinite()) {
+      return Math.ceil(totalCards / step);
+    }
+
+    // One slide for the first view, then one per step until the last card shows
+    return Math.ceil((totalCards - this.cardsPerView) / step) + 1;
+  }
+
+  /**
+   * Calculate the first visible card for a given slide
+   * Handles edge case where last slide needs to show previous cards
+   * @param {number} slideIndex
+   * @returns {number}
+   */
+  calculateStartCardIndex(slideIndex) {
+    const startCardIndex = slideIndex * this.getStepSize();
+
+    // The infinite loop fills the rest of the view with the next cards
+    if (this.isInfinite()) return startCardIndex;
+
+    // For the last slide, if there aren't enough cards,
+    // shift back to show the last 'cardsPerView' cards
+    return Math.max(0, Math.min(startCardIndex, this.cards.length - this.cardsPerView));
+  }
+
+  /**
+   * Calculate the offset for a given slide
+   * @param {number} slideIndex
+   * @returns {number} - Percentage offset
+   */
+  calculateSlideOffset(slideIndex) {
+    return this.calculateCardOffset(this.calculateStartCardIndex(slideIndex));
+  }
+
+  /**
+   * Calculate the offset that puts a card first in view.
+   * Negative or past-the-end positions land on the infinite loop clones.
+   * @param {number} cardIndex
+   * @returns {number} - Percentage offset
+   */
+  calculateCardOffset(cardIndex) {
+    const cardWidth = 100 / this.cardsPerView;
+    return (cardIndex + this.clones.length / 2) * cardWidth;
+  }
+
+  /**
+   * Move the track so a card is first in view
+   * @param {number} cardIndex
+   */
+  setTrackPosition(cardIndex) {
+    this.track.style.transform = `translateX(-${this.calculateCardOffset(cardIndex)}%)`;
+  }
+
+  /**
+   * Recompute cards per view, slides and indicators
+   */
+  layout() {
+    this.cardsPerView = this.getCardsPerView();
+    this.totalSlides = this.calculateTotalSlides();
+    // Lets CSS size cards that don't have per-breakpoint widths
+    this.root.style.setProperty('--carousel-cards-per-view', this.cardsPerView);
+    this.finishLoopReset();
+    this.buildClones();
+
+    // Stay on a valid slide
+    if (this.currentSlide >= this.totalSlides) {
+      this.currentSlide = this.totalSlides - 1;
+    }
+
+    this.generateIndicators();
+    this.goTo(this.currentSlide, { trigger: 'layout' });
+  }
+
+  /**
+   * Recalculate carousel on resize
+   */
+  handleResize() {
+    if (this.getCardsPerView() !== this.cardsPerView) {
+      this.layout();
+      this.startAutoPlay();
+    }
+  }
+
+  // ========================================================================
+  // Infinite Loop
+  // ========================================================================
+
+  /**
+   * Surround the real cards with copies of a view's worth of edge cards:
+   * [last cards] [real cards] [first cards]
+   */
+  buildClones() {
+    this.removeClones();
+    if (!this.isInfinite()) return;
+
+    const count = this.cardsPerView;
+    const createClone = card => {
+      const clone = card.cloneNode(true);
+      clone.classList.add(this.options.classes.clone);
+      clone.setAttribute('aria-hidden', 'true');
+      clone.inert = true;
+      clone.removeAttribute('id');
+      clone.querySelectorAll('[id]').forEach(element => element.removeAttribute('id'));
+      return clone;
+    };
+
+    const leading = this.cards.slice(-count).map(createClone);
+    const trailing = this.cards.slice(0, count).map(createClone);
+
+    this.track.prepend(...leading);
+    this.track.append(...trailing);
+    this.clones = [...leading, ...trailing];
+  }
+
+  /**
+   * Remove the infinite loop clones
+   */
+  removeClones() {
+    this.clones.forEach(clone => clone.remove());
+    this.clones = [];
+  }
+
+  /**
+   * Jump from a clone back to the matching real card once the move finishes
+   */
+  scheduleLoopReset() {
+    this.isLoopResetPending = true;
+
+    const duration = getTransitionDuration(this.track);
+    if (duration === 0) {
+      this.finishLoopReset();
+      return;
+    }
+
+    const { signal } = this.listeners;
+    const handleTransitionEnd = event => {
+      if (event.target !== this.track || event.propertyName !== 'transform') return;
+      this.track.removeEventListener('transitionend', handleTransitionEnd);
+      this.finishLoopReset();
+    };
+    this.track.addEventListener('transitionend', handleTransitionEnd, { signal });
+
+    // transitionend doesn't fire if the transition is interrupted
+    this.loopResetTimer = setTimeout(() => {
+      this.track.removeEventListener('transitionend', handleTransitionEnd);
+      this.finishLoopReset();
+    }, duration + 50);
+  }
+
+  /**
+   * Move to the real card without a transition (no-op when not on a clone)
+   */
+  finishLoopReset() {
+    if (!this.isLoopResetPending) return;
+
+    this.isLoopResetPending = false;
+    clearTimeout(this.loopResetTimer);
+
+    this.track.style.transition = 'none';
+    this.setTrackPosition(this.calculateStartCardIndex(this.currentSlide));
+    // Flush the jump so the next move animates again
+    void this.track.offsetWidth;
+    this.track.style.transition = '';
+  }
+
+  // ========================================================================
+  // Indicators, Controls & Status
+  // ========================================================================
+
+  /**
+   * Update indicator buttons to reflect current slide
+   */
+  updateIndicators() {
+    this.indicators.forEach((indicator, index) => {
+      const isActive = index === this.currentSlide;
+      indicator.classList.toggle(this.options.classes.activeIndicator, isActive);
+      indicator.setAttribute('aria-current', isActive.toString());
+    });
+  }
+
+  /**
+   * Generate indicator buttons dynamically based on slide count
+   */
+  generateIndicators() {
+    if (!this.indicatorsContainer) return;
+
+    const { classes, labels } = this.options;
+    this.indicatorsContainer.innerHTML = '';
+
+    for (let i = 0; i < this.totalSlides; i++) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = classes.indicator;
+      button.setAttribute('data-slide', i.toString());
+      button.setAttribute('aria-label', labels.indicator(i + 1));
+      button.addEventListener('click', () => {
+        this.goTo(i);
+        this.resetAutoPlay();
+      });
+      this.indicatorsContainer.appendChild(button);
+    }
+
+    this.indicators = Array.from(this.indicatorsContainer.children);
+    this.indicatorsContainer.hidden = this.totalSlides <= 1;
+  }
+
+  /**
+   * Hide off-screen cards from assistive tech and the tab order
+   */
+  updateCardVisibility() {
+    const start = this.calculateStartCardIndex(this.currentSlide);
+    const totalCards = this.cards.length;
+
+    this.cards.forEach((card, index) => {
+      // Distance from the first visible card, wrapping for the infinite loop
+      const position = this.isInfinite() ? (index - start + totalCards) % totalCards : index - start;
+      const isVisible = position >= 0 && position < this.cardsPerView;
+      card.setAttribute('aria-hidden', (!isVisible).toString());
+      card.inert = !isVisible;
+    });
+  }
+
+  /**
+   * Disable previous/next at the ends when not looping
+   */
+  updateControls() {
+    const isSingleSlide = this.totalSlides <= 1;
+
+    if (this.prevButton) {
+      this.prevButton.disabled = isSingleSlide || (!this.options.loop && this.currentSlide === 0);
+    }
+    if (this.nextButton) {
+      this.nextButton.disabled = isSingleSlide || (!this.options.loop && this.currentSlide === this.totalSlides - 1);
+    }
+  }
+
+  /**
+   * Announce the current slide in the live region
+   */
+  updateStatus() {
+    if (!this.statusElement) return;
+    this.statusElement.textContent = this.options.labels.status(this.currentSlide + 1, this.totalSlides);
+  }
+
+  // ========================================================================
+  // Auto-Play
+  // ========================================================================
+
+  /**
+   * Whether auto-play may run right now
+   * @returns {boolean}
+   */
+  canAutoPlay() {
+    return this.options.autoplay > 0 &&
+      this.totalSlides > 1 &&
+      this.isAutoPlayEnabled &&
+      !this.isHovered &&
+      !this.hasFocus &&
+      !document.hidden;
+  }
+
+  /**
+   * Start auto-play (no-op while paused by the user or an interaction)
+   */
+  startAutoPlay() {
+    this.stopAutoPlay();
+    if (this.canAutoPlay()) {
+      this.autoPlayTimer = setInterval(() => {
+        // Rewind at the end unless the infinite loop can keep going forward
+        const isLast = this.currentSlide === this.totalSlides - 1;
+        this.goTo(isLast && !this.isInfinite() ? 0 : this.currentSlide + 1, { trigger: 'autoplay' });
+      }, this.options.autoplay);
+    }
+    this.updateAutoPlayState();
+  }
+
+  /**
+   * Stop auto-play
+   */
+  stopAutoPlay() {
+    if (this.autoPlayTimer) {
+      clearInterval(this.autoPlayTimer);
+      this.autoPlayTimer = null;
+    }
+    this.updateAutoPlayState();
+  }
+
+  /**
+   * Reset auto-play timer
+   */
+  resetAutoPlay() {
+    this.stopAutoPlay();
+    this.startAutoPlay();
+  }
+
+  /**
+   * Sync the pause/play button and live region politeness with auto-play.
+   * Slide changes are only announced while the carousel is not rotating, and
+   * the button is hidden while everything fits on one slide.
+   */
+  updateAutoPlayState() {
+    if (this.statusElement) {
+      this.statusElement.setAttribute('aria-live', this.autoPlayTimer ? 'off' : 'polite');
+    }
+
+    if (!this.toggleButton) return;
+    const { classes, labels } = this.options;
+    this.toggleButton.hidden = !(this.options.autoplay > 0) || this.totalSlides <= 1;
+    this.toggleButton.classList.toggle(classes.playing, this.isAutoPlayEnabled);
+    this.toggleButton.setAttribute('aria-label', this.isAutoPlayEnabled ? labels.pause : labels.play);
+  }
+
+  // ========================================================================
+  // Swipe / Drag
+  // ========================================================================
+
+  /**
+   * Current track offset in pixels for a slide
+   * @param {number} slideIndex
+   * @returns {number}
+   */
+  getSlideOffsetPx(slideIndex) {
+    return (this.calculateSlideOffset(slideIndex) / 100) * this.track.offsetWidth;
+  }
+
+  /**
+   * Resist dragging past the first and last slides
+   * @param {number} offsetPx - Desired offset
+   * @returns {number}
+   */
+  applyRubberBand(offsetPx) {
+    // The infinite loop has clones to drag onto instead of hard ends
+    if (this.isInfinite()) return offsetPx;
+
+    const maxOffset = this.getSlideOffsetPx(this.totalSlides - 1);
+    const { rubberBandFactor } = this.options.swipe;
+
+    if (offsetPx < 0) return offsetPx * rubberBandFactor;
+    if (offsetPx > maxOffset) return maxOffset + (offsetPx - maxOffset) * rubberBandFactor;
+    return offsetPx;
+  }
+
+  /**
+   * Start tracking a pointer; the drag only begins once it moves horizontally
+   * @param {PointerEvent} event
+   */
+  handlePointerDown(event) {
+    if (!event.isPrimary || event.button !== 0 || this.totalSlides <= 1) return;
+
+    this.finishLoopReset();
+
+    this.drag = {
+      pointerId: event.pointerId,
+      startX: event.clientX,
+      startY: event.clientY,
+      startOffset: this.getSlideOffsetPx(this.currentSlide),
+      isHorizontal: false,
+      lastX: event.clientX,
+      lastTime: event.timeStamp,
+      velocity: 0
+    };
+  }
+
+  /**
+   * Follow the pointer once the gesture is known to be horizontal
+   * @param {PointerEvent} event
+   */
+  handlePointerMove(event) {
+    const { drag } = this;
+    if (!drag || event.pointerId !== drag.pointerId) return;
+
+    const deltaX = event.clientX - drag.startX;
+    const deltaY = event.clientY - drag.startY;
+
+    if (!drag.isHorizontal) {
+      if (Math.max(Math.abs(deltaX), Math.abs(deltaY)) < this.options.swipe.directionLockThreshold) return;
+
+      // Vertical gesture: leave it to the page scroll
+      if (Math.abs(deltaY) > Math.abs(deltaX)) {
+        this.drag = null;
+        return;
+      }
+
+      drag.isHorizontal = true;
+      this.track.setPointerCapture(event.pointerId);
+      this.track.classList.add(this.options.classes.dragging);
+      this.stopAutoPlay();
+    }
+
+    event.preventDefault();
+
+    // Smooth the release velocity over recent moves
+    const elapsed = event.timeStamp - drag.lastTime;
+    if (elapsed > 0) {
+      const instantVelocity = (event.clientX - drag.lastX) / elapsed;
+      drag.velocity = drag.velocity * 0.6 + instantVelocity * 0.4;
+    }
+    drag.lastX = event.clientX;
+    drag.lastTime = event.timeStamp;
+
+    const offset = this.applyRubberBand(drag.startOffset - deltaX);
+    this.track.style.transform = `translateX(${-offset}px)`;
+  }
+
+  /**
+   * Snap to the nearest slide in the swipe direction when the pointer is released
+   * @param {PointerEvent} event
+   */
+  handlePointerUp(event) {
+    const { drag } = this;
+    if (!drag || event.pointerId !== drag.pointerId) return;
+
+    this.drag = null;
+    if (!drag.isHorizontal) return;
+
+    this.track.classList.remove(this.options.classes.dragging);
+    if (this.track.hasPointerCapture(event.pointerId)) {
+      this.track.releasePointerCapture(event.pointerId);
+    }
+
+    const deltaX = event.type === 'pointercancel' ? 0 : event.clientX - drag.startX;
+    const { distanceThreshold, velocityThreshold, directionLockThreshold } = this.options.swipe;
+    const isSwipe = Math.abs(deltaX) > this.track.offsetWidth * distanceThreshold ||
+      Math.abs(drag.velocity) > velocityThreshold;
+
+    let targetSlide = this.currentSlide;
+    if (isSwipe && deltaX !== 0) {
+      targetSlide = this.currentSlide + (deltaX < 0 ? 1 : -1);
+      // Don't wrap around at the ends: the rubber band snaps back instead
+      if (!this.isInfinite()) {
+        targetSlide = Math.min(Math.max(targetSlide, 0), this.totalSlides - 1);
+      }
+    }
+
+    this.suppressClick = Math.abs(deltaX) > directionLockThreshold;
+    this.goTo(targetSlide);
+    this.resetAutoPlay();
+  }
+
+  /**
+   * Prevent a drag from also activating links inside the cards
+   * @param {MouseEvent} event
+   */
+  handleTrackClick(event) {
+    if (!this.suppressClick) return;
+
+    this.suppressClick = false;
+    event.preventDefault();
+    event.stopPropagation();
+  }
+
+  // ========================================================================
+  // Initialization
+  // ========================================================================
+
+  /**
+   * Lay out the carousel and attach its listeners
+   */
+  init() {
+    if (!this.track || this.cards.length === 0) {
+      console.log('Carousel: track or cards not found', this.root);
+      return;
+    }
+
+    const { signal } = this.listeners;
+
+    this.layout();
+
+    // Previous / next buttons
+    if (this.prevButton) {
+      this.prevButton.addEventListener('click', () => {
+        this.prev();
+        this.resetAutoPlay();
+      }, { signal });
+    }
+    if (this.nextButton) {
+      this.nextButton.addEventListener('click', () => {
+        this.next();
+        this.resetAutoPlay();
+      }, { signal });
+    }
+
+    // Pause / play
+    if (this.toggleButton) {
+      this.toggleButton.addEventListener('click', () => {
+        if (this.isAutoPlayEnabled) {
+          this.pause();
+        } else {
+          this.play();
+        }
+      }, { signal });
+    }
+
+    // Pause on hover
+    this.track.addEventListener('mouseenter', () => {
+      this.isHovered = true;
+      this.stopAutoPlay();
+    }, { signal });
+    this.track.addEventListener('mouseleave', () => {
+      this.isHovered = false;
+      this.startAutoPlay();
+    }, { signal });
+
+    // Pause while keyboard focus is inside (except on the toggle itself)
+    this.root.addEventListener('focusin', event => {
+      this.hasFocus = event.target !== this.toggleButton;
+      this.startAutoPlay();
+    }, { signal });
+    this.root.addEventListener('focusout', event => {
+      if (this.root.contains(event.relatedTarget)) return;
+      this.hasFocus = false;
+      this.startAutoPlay();
+    }, { signal });
+
+    // Pause in background tabs
+    document.addEventListener('visibilitychange', () => this.startAutoPlay(), { signal });
+
+    // Auto-play stays off when the user prefers reduced motion
+    this.reducedMotionQuery.addEventListener('change', () => {
+      this.isAutoPlayEnabled = this.options.autoplay > 0 && !this.reducedMotionQuery.matches;
+      this.startAutoPlay();
+    }, { signal });
+
+    // Swipe / drag
+    if (this.options.swipe.enabled) {
+      this.track.addEventListener('pointerdown', event => this.handlePointerDown(event), { signal });
+      this.track.addEventListener('pointermove', event => this.handlePointerMove(event), { signal });
+      this.track.addEventListener('pointerup', event => this.handlePointerUp(event), { signal });
+      this.track.addEventListener('pointercancel', event => this.handlePointerUp(event), { signal });
+      this.track.addEventListener('click', event => this.handleTrackClick(event), { capture: true, signal });
+      this.track.addEventListener('dragstart', event => event.preventDefault(), { signal });
+    }
+
+    // Keyboard navigation
+    document.addEventListener('keydown', event => {
+      if (!this.root.contains(document.activeElement)) return;
+
+      if (event.key === 'ArrowLeft') {
+        this.prev();
+        this.resetAutoPlay();
+      } else if (event.key === 'ArrowRight') {
+        this.next();
+        this.resetAutoPlay();
+      }
+    }, { signal });
+
+    // Resize handler
+    this.unsubscribeResize = onResize(() => this.handleResize());
+
+    this.startAutoPlay();
+  }
+}
+
+// ==========================================================================
+// Component
+// ==========================================================================
+
+/**
+ * Create the carousel for a `data-component="carousel"` element
+ * @param {HTMLElement} root
+ * @returns {Carousel}
+ */
+export function init(root) {
+  const carousel = new Carousel(root);
+
+  console.log(`Carousel "${root.dataset.carousel}" initialized:`, {
+    totalCards: carousel.cards.length,
+    totalSlides: carousel.totalSlides,
+    cardsPerView: carousel.cardsPerView
+  });
+  return carousel;
+}
+
+/**
+ * @param {HTMLElement} root
+ * @param {Carousel} carousel - As returned by init
+ */
+export function destroy(root, carousel) {
+  carousel.destroy();
+}
@@ -0,0 +1,210 @@
+/**
+ * Components
+ *
+ * Registry that gives markup its behaviour from a data attribute, so content
+ * added after page load is wired up and removed content is torn down.
+ *
+ * Features:
+ * 1. register(name, { init, destroy }) for `data-component="name"`; an
+ *    element can list several names separated by spaces
+ * 2. init(root) / destroy(root) for an element and everything inside it;
+ *    each component is set up at most once per element
+ * 3. A MutationObserver initializes added nodes and destroys removed ones
+ *    (nodes that are only moved keep their instance)
+ *
+ * A component's init(element) may return anything, usually an instance or an
+ * AbortController; it is handed back to destroy(element, value). Component
+ * modules export init / destroy, and JS/main.js registers them:
+ *
+ *   import * as accordion from './accordion.js';
+ *   register('accordion', accordion);
+ */
+
+// ==========================================================================
+// Configuration
+// ==========================================================================
+
+const COMPONENTS_CONFIG = {
+  selector: '[data-component]'
+};
+
+// ==========================================================================
+// State
+// ==========================================================================
+
+// Component definitions by name
+const definitions = new Map();
+// Per element: Map of component name → value returned by init
+const mounted = new WeakMap();
+let isStarted = false;
+let observer = null;
+
+// ==========================================================================
+// Utility Functions
+// ==========================================================================
+
+/**
+ * Component names an element asks for
+ * @param {HTMLElement} element
+ * @returns {string[]}
+ */
+function getElementNames(element) {
+  return (element.dataset.component || '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * The element itself (when it is a component) and its component descendants
+ * @param {ParentNode} root
+ * @returns {HTMLElement[]}
+ */
+function getComponentElements(root) {
+  const elements = Array.from(root.querySelectorAll(COMPONENTS_CONFIG.selector));
+  if (root.nodeType === Node.ELEMENT_NODE && root.matches(COMPONENTS_CONFIG.selector)) {
+    elements.unshift(root);
+  }
+  return elements;
+}
+
+// ==========================================================================
+// Mounting
+// ==========================================================================
+
+/**
+ * Set up one component on an element unless it already is
+ * @param {HTMLElement} element
+ * @param {string} name
+ */
+function mount(element, name) {
+  const definition = definitions.get(name);
+  if (!definition) return;
+
+  if (!mounted.has(element)) mounted.set(element, new Map());
+  const components = mounted.get(element);
+  if (components.has(name)) return;
+
+  try {
+    components.set(name, definition.init(element));
+  } catch (error) {
+    console.error(`Components: "${name}" failed to initialize`, error);
+  }
+}
+
+/**
+ * Tear down one component on an element
+ * @param {HTMLElement} element
+ * @param {string} name
+ */
+function unmount(element, name) {
+  const components = mounted.get(element);
+  if (!components || !components.has(name)) return;
+
+  const value = components.get(name);
+  components.delete(name);
+
+  const definition = definitions.get(name);
+  if (!definition || typeof definition.destroy !== 'function') return;
+
+  try {
+    definition.destroy(element, value);
+  } catch (error) {
+    console.error(`Components: "${name}" failed to destroy`, error);
+  }
+}
+
+/**
+ * Initialize every registered component in a subtree
+ * @param {ParentNode} [root=document]
+ */
+export function init(root = document) {
+  getComponentElements(root).forEach(element => {
+    getElementNames(element).forEach(name => mount(element, name));
+  });
+}
+
+/**
+ * Destroy every component in a subtree
+ * @param {ParentNode} [root=document]
+ */
+export function destroy(root = document) {
+  getComponentElements(root).forEach(element => {
+    const components = mounted.get(element);
+    if (!components) return;
+    Array.from(components.keys()).forEach(name => unmount(element, name));
+  });
+}
+
+/**
+ * Register a component and set it up on matching elements already on the page
+ * @param {string} name - Value used in data-component
+ * @param {Object} definition
+ * @param {Function} definition.init - (element) => value
+ * @param {Function} [definition.destroy] - (element, value) => void
+ */
+export function register(name, definition) {
+  if (definitions.has(name)) {
+    console.warn(`Components: "${name}" is already registered`);
+    return;
+  }
+  definitions.set(name, definition);
+
+  if (!isStarted) return;
+  document.querySelectorAll(`[data-component~="${CSS.escape(name)}"]`).forEach(element => {
+    mount(element, name);
+  });
+}
+
+// ==========================================================================
+// DOM Observer
+// ==========================================================================
+
+/**
+ * Wire up added nodes and tear down removed ones
+ * @param {MutationRecord[]} records
+ */
+function handleMutations(records) {
+  records.forEach(record => {
+    record.removedNodes.forEach(node => {
+      // Moved nodes are removed and re-added; keep them as they are
+      if (node.nodeType === Node.ELEMENT_NODE && !node.isConnected) destroy(node);
+    });
+    record.addedNodes.forEach(node => {
+      if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) init(node);
+    });
+  });
+}
+
+// ==========================================================================
+// Public API
+// ==========================================================================
+
+/**
+ * Value a component's init returned for an element
+ * @param {HTMLElement} element
+ * @param {string} name
+ * @returns {*}
+ */
+export function get(element, name) {
+  return mounted.get(element)?.get(name);
+}
+
+/**
+ * @returns {string[]} Registered component names
+ */
+export function getNames() {
+  return Array.from(definitions.keys());
+}
+
+/**
+ * Initialize the page and start watching for changes. Called once by the
+ * bootstrapper (JS/main.js) after it has registered every component.
+ */
+export function start() {
+  if (isStarted) return;
+  isStarted = true;
+  init(document);
+
+  observer = new MutationObserver(handleMutations);
+  observer.observe(document.body, { childList: true, subtree: true });
+
+  console.log(`Components initialized: ${getNames().join(', ')}`);
+}
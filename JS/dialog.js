@@ -0,0 +1,297 @@
+/**
+ * Dialog
+ *
+ * Accessible modal dialog. Every `[data-dialog]` element on the page is
+ * initialized automatically; other code opens it through
+ * `Flexiple.dialogs.get(name).open(opener)`.
+ *
+ * Features:
+ * 1. Focus moves into the dialog ([autofocus], then the first focusable element)
+ * 2. Tab / Shift+Tab are trapped inside; the rest of the page is inert
+ * 3. Escape, the overlay and [data-dialog-close] buttons close it
+ * 4. Focus returns to the element that opened it
+ * 5. Page scroll is locked while open, like the mobile nav menu
+ * 6. Bubbling `dialog:open` / `dialog:close` events
+ * 7. Dialogs stack: one opened from another sits on top, and the one below
+ *    is locked again when it closes
+ *
+ * Markup:
+ *   <div class="modal" data-dialog="name" hidden>
+ *     <div class="modal__overlay" data-dialog-close></div>
+ *     <div class="modal__dialog" role="dialog" aria-modal="true" aria-labelledby="...">…</div>
+ *   </div>
+ */
+
+(function () {
+  'use strict';
+
+  // ==========================================================================
+  // Configuration
+  // ==========================================================================
+
+  const DIALOG_CONFIG = {
+    selectors: {
+      panel: '[role="dialog"]',
+      close: '[data-dialog-close]',
+      focusable: [
+        'a[href]',
+        'button:not([disabled])',
+        'input:not([disabled]):not([type="hidden"])',
+        'select:not([disabled])',
+        'textarea:not([disabled])',
+        '[tabindex]:not([tabindex="-1"])'
+      ].join(', ')
+    },
+    events: {
+      open: 'dialog:open',
+      close: 'dialog:close'
+    }
+  };
+
+  // Live instances, keyed by data-dialog name
+  const instances = new Map();
+  // Open dialogs, topmost last
+  const stack = [];
+
+  // ==========================================================================
+  // Dialog
+  // ==========================================================================
+
+  class Dialog {
+    /**
+     * @param {HTMLElement} root - Wrapper containing the overlay and the [role="dialog"] panel
+     */
+    constructor(root) {
+      this.root = root;
+      this.panel = root.querySelector(DIALOG_CONFIG.selectors.panel) || root;
+      this.opener = null;
+      this.rootWasInert = false;
+      // Page elements made inert while open, with their previous state
+      this.inertElements = [];
+      this.previousBodyOverflow = '';
+      this.listeners = new AbortController();
+
+      this.init();
+
+      // Named instances are reachable through Flexiple.dialogs
+      const name = root.dataset.dialog;
+      if (name && !instances.has(name)) instances.set(name, this);
+    }
+
+    // ========================================================================
+    // Public API
+    // ========================================================================
+
+    /**
+     * @returns {boolean}
+     */
+    get isOpen() {
+      return !this.root.hidden;
+    }
+
+    /**
+     * Show the dialog and move focus into it
+     * @param {HTMLElement} [opener] - Receives focus again on close
+     */
+    open(opener = document.activeElement) {
+      if (this.isOpen) return;
+
+      this.opener = opener instanceof HTMLElement ? opener : null;
+      this.root.hidden = false;
+
+      stack.push(this);
+      this.lockPage();
+      this.focusInitial();
+
+      this.root.dispatchEvent(new CustomEvent(DIALOG_CONFIG.events.open, {
+        bubbles: true,
+        detail: { dialog: this, opener: this.opener }
+      }));
+    }
+
+    /**
+     * Hide the dialog and return focus to the opener
+     */
+    close() {
+      if (!this.isOpen) return;
+
+      // Dialogs opened from this one go first, so each restores what it locked
+      stack.slice(stack.indexOf(this) + 1).reverse().forEach(dialog => dialog.close());
+
+      this.root.hidden = true;
+      this.unlockPage();
+      if (stack.includes(this)) stack.splice(stack.indexOf(this), 1);
+
+      if (this.opener && this.opener.isConnected) {
+        this.opener.focus();
+      }
+
+      this.root.dispatchEvent(new CustomEvent(DIALOG_CONFIG.events.close, {
+        bubbles: true,
+        detail: { dialog: this, opener: this.opener }
+      }));
+      this.opener = null;
+    }
+
+    /**
+     * Remove listeners and close the dialog
+     */
+    destroy() {
+      this.close();
+      this.listeners.abort();
+
+      const name = this.root.dataset.dialog;
+      if (name && instances.get(name) === this) {
+        instances.delete(name);
+      }
+    }
+
+    // ========================================================================
+    // Focus
+    // ========================================================================
+
+    /**
+     * Visible, focusable elements inside the panel in tab order
+     * @returns {HTMLElement[]}
+     */
+    getFocusableElements() {
+      return Array.from(this.panel.querySelectorAll(DIALOG_CONFIG.selectors.focusable))
+        .filter(element => !element.closest('[hidden], [inert]'));
+    }
+
+    /**
+     * Focus [autofocus], the first focusable element, or the panel itself
+     */
+    focusInitial() {
+      const target = this.panel.querySelector('[autofocus]:not([disabled])') ||
+        this.getFocusableElements()[0] ||
+        this.panel;
+
+      if (target === this.panel && !this.panel.hasAttribute('tabindex')) {
+        this.panel.setAttribute('tabindex', '-1');
+      }
+      target.focus();
+    }
+
+    /**
+     * Keep Tab and Shift+Tab inside the dialog
+     * @param {KeyboardEvent} event
+     */
+    trapFocus(event) {
+      const focusable = this.getFocusableElements();
+      if (focusable.length === 0) {
+        event.preventDefault();
+        return;
+      }
+
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const isOutside = !this.panel.contains(document.activeElement);
+
+      if (event.shiftKey && (document.activeElement === first || isOutside)) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && (document.activeElement === last || isOutside)) {
+        event.preventDefault();
+        first.focus();
+      }
+    }
+
+    // ========================================================================
+    // Page Lock
+    // ========================================================================
+
+    /**
+     * Lock page scroll and make everything outside the dialog inert
+     */
+    lockPage() {
+      this.previousBodyOverflow = document.body.style.overflow;
+      document.body.style.overflow = 'hidden';
+
+      this.inertElements = Array.from(document.body.children)
+        .filter(element => element !== this.root && !element.contains(this.root) && element.tagName !== 'SCRIPT')
+        .map(element => ({ element, wasInert: element.inert }));
+      this.inertElements.forEach(({ element }) => {
+        element.inert = true;
+      });
+
+      // A dialog below this one made it inert along with the rest of the page
+      this.rootWasInert = this.root.inert;
+      this.root.inert = false;
+    }
+
+    /**
+     * Restore page scroll and interactivity
+     */
+    unlockPage() {
+      document.body.style.overflow = this.previousBodyOverflow;
+
+      this.inertElements.forEach(({ element, wasInert }) => {
+        element.inert = wasInert;
+      });
+      this.inertElements = [];
+
+      this.root.inert = this.rootWasInert;
+      this.rootWasInert = false;
+    }
+
+    // ========================================================================
+    // Initialization
+    // ========================================================================
+
+    /**
+     * Attach close and keyboard listeners
+     */
+    init() {
+      const { signal } = this.listeners;
+
+      this.root.addEventListener('click', event => {
+        if (event.target.closest(DIALOG_CONFIG.selectors.close)) {
+          this.close();
+        }
+      }, { signal });
+
+      this.root.addEventListener('keydown', event => {
+        if (event.key === 'Escape') {
+          // Don't let the page's own Escape handlers react as well
+          event.stopPropagation();
+          this.close();
+        } else if (event.key === 'Tab') {
+          this.trapFocus(event);
+        }
+      }, { signal });
+    }
+  }
+
+  // ==========================================================================
+  // Public API
+  // ==========================================================================
+
+  window.Flexiple = window.Flexiple || {};
+  window.Flexiple.Dialog = Dialog;
+  window.Flexiple.dialogs = instances;
+
+  // ==========================================================================
+  // Initialization
+  // ==========================================================================
+
+  /**
+   * Create an instance for every [data-dialog] element
+   */
+  function initDialogs() {
+    document.querySelectorAll('[data-dialog]').forEach(root => {
+      if (instances.has(root.dataset.dialog)) return;
+      new Dialog(root);
+    });
+
+    console.log(`Dialogs initialized: ${Array.from(instances.keys()).join(', ')}`);
+  }
+
+  // Run on DOM ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initDialogs);
+  } else {
+    initDialogs();
+  }
+
+})();
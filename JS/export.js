@@ -0,0 +1,474 @@
+/**
+ * Profile Export
+ *
+ * Features:
+ * 1. "Export" menu next to the sort control
+ * 2. Choice of profiles: everyone matching the filters, the cards on this
+ *    page, or the shortlist (JS/shortlist.js)
+ * 3. CSV download (opens in Excel and Google Sheets) and JSON download
+ * 4. Print view: a dialog with one block per developer and a print
+ *    stylesheet that prints only that sheet
+ *
+ * Everything is built in the browser from the loaded profile data.
+ */
+
+(function () {
+  'use strict';
+
+  // ==========================================================================
+  // Configuration
+  // ==========================================================================
+
+  const EXPORT_CONFIG = {
+    dialogName: 'export',
+    fileName: 'flexiple-developers',
+    selectors: {
+      wrapper: '.export',
+      button: '.export__btn',
+      menu: '.export__menu',
+      scope: 'input[name="export-scope"]',
+      format: '[data-export-format]',
+      status: '.export__status',
+      sheet: '.export-sheet',
+      summary: '.export-sheet__summary',
+      print: '.export-sheet__print'
+    },
+    classes: {
+      open: 'is-open',
+      // On <html> while the print view is open, so only the sheet prints
+      printing: 'is-print-preview'
+    },
+    // Columns of the CSV and fields of the print view, in order
+    columns: [
+      { key: 'name', header: 'Name' },
+      { key: 'experience', header: 'Experience (years)' },
+      { key: 'ctc', header: 'Current CTC (₹ LPA)' },
+      { key: 'noticePeriod', header: 'Notice period (days)' },
+      { key: 'primarySkill', header: 'Primary skill' },
+      { key: 'skills', header: 'Skills', format: skills => skills.join('; ') }
+    ],
+    labels: {
+      scopes: {
+        matches: count => `All matching profiles (${count})`,
+        page: count => `Profiles on this page (${count})`,
+        shortlist: count => `Shortlisted (${count})`
+      },
+      downloaded: (count, format) => `Downloaded ${count} ${count === 1 ? 'profile' : 'profiles'} as ${format.toUpperCase()}`,
+      summary: (count, date) => `${count} ${count === 1 ? 'developer' : 'developers'} · exported ${date}`,
+      experience: 'Experience',
+      ctc: 'Current CTC',
+      noticePeriod: 'Notice period',
+      skills: 'Skills'
+    }
+  };
+
+  // ==========================================================================
+  // DOM References
+  // ==========================================================================
+
+  const wrapper = document.querySelector(EXPORT_CONFIG.selectors.wrapper);
+  const button = wrapper && wrapper.querySelector(EXPORT_CONFIG.selectors.button);
+  const menu = wrapper && wrapper.querySelector(EXPORT_CONFIG.selectors.menu);
+  const status = wrapper && wrapper.querySelector(EXPORT_CONFIG.selectors.status);
+
+  // ==========================================================================
+  // Utility Functions
+  // ==========================================================================
+
+  /**
+   * Escape a string for safe use in HTML
+   * @param {*} value
+   * @returns {string}
+   */
+  function escapeHTML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Today's date as YYYY-MM-DD, for file names
+   * @returns {string}
+   */
+  function getDateStamp() {
+    const now = new Date();
+    const pad = value => String(value).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  }
+
+  /**
+   * Ask the browser to save a file
+   * @param {string} content
+   * @param {string} fileName
+   * @param {string} type - MIME type
+   */
+  function download(content, fileName, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.hidden = true;
+
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the download a moment to start before releasing the file
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Read the status message to screen readers
+   * @param {string} message
+   */
+  function announce(message) {
+    if (!status) return;
+    status.textContent = '';
+    // A fresh text node makes repeated messages announce again
+    setTimeout(() => {
+      status.textContent = message;
+    }, 50);
+  }
+
+  // ==========================================================================
+  // Profiles
+  // ==========================================================================
+
+  /**
+   * Profiles for each scope
+   * @returns {{matches: Object[], page: Object[], shortlist: Object[]}}
+   */
+  function getScopes() {
+    const { profiles, shortlist } = window.Flexiple;
+    const matches = profiles.getMatches();
+
+    return {
+      matches,
+      // Pagination hides the cards of other pages
+      page: matches.filter(profile => {
+        const card = profiles.getCard(profile.id);
+        return card && !card.hidden;
+      }),
+      shortlist: shortlist
+        ? shortlist.getIds().map(id => profiles.get(id)).filter(Boolean)
+        : []
+    };
+  }
+
+  /**
+   * @returns {string} The checked scope
+   */
+  function getSelectedScope() {
+    const checked = menu.querySelector(`${EXPORT_CONFIG.selectors.scope}:checked`);
+    return checked ? checked.value : 'matches';
+  }
+
+  /**
+   * Profiles in the chosen scope
+   * @returns {Object[]}
+   */
+  function getSelectedProfiles() {
+    return getScopes()[getSelectedScope()] || [];
+  }
+
+  /**
+   * Plain copy of a profile with the exported fields only
+   * @param {Object} profile
+   * @returns {Object}
+   */
+  function toRecord(profile) {
+    return EXPORT_CONFIG.columns.reduce((record, column) => {
+      const value = profile[column.key];
+      record[column.key] = column.key === 'skills' ? [...(value || [])] : (value === undefined ? null : value);
+      return record;
+    }, { id: profile.id });
+  }
+
+  // ==========================================================================
+  // Formats
+  // ==========================================================================
+
+  /**
+   * One CSV cell; values a spreadsheet would run as a formula are prefixed with '
+   * @param {*} value
+   * @returns {string}
+   */
+  function toCsvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text) && Number.isNaN(Number(text))) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * CSV with a header row; starts with a BOM so Excel reads it as UTF-8
+   * @param {Object[]} profiles
+   * @returns {string}
+   */
+  function toCsv(profiles) {
+    const { columns } = EXPORT_CONFIG;
+    const rows = [columns.map(column => column.header)];
+
+    profiles.forEach(profile => {
+      rows.push(columns.map(column => {
+        const value = profile[column.key];
+        return column.format && value !== undefined ? column.format(value) : value;
+      }));
+    });
+
+    return `\uFEFF${rows.map(row => row.map(toCsvCell).join(',')).join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Pretty-printed JSON
+   * @param {Object[]} profiles
+   * @param {string} scope
+   * @returns {string}
+   */
+  function toJson(profiles, scope) {
+    return JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      scope,
+      count: profiles.length,
+      profiles: profiles.map(toRecord)
+    }, null, 2);
+  }
+
+  /**
+   * Markup of one developer in the print view
+   * @param {Object} profile
+   * @returns {string}
+   */
+  function candidateTemplate(profile) {
+    const { labels } = EXPORT_CONFIG;
+    const { formatNoticePeriod } = window.Flexiple.profiles;
+    const skills = [profile.primarySkill, ...profile.skills.filter(skill => skill !== profile.primarySkill)]
+      .filter(Boolean);
+
+    return `
+      <article class="export-sheet__candidate">
+        <h3 class="export-sheet__name">${escapeHTML(profile.name)}</h3>
+        <dl class="export-sheet__details">
+          <div><dt>${labels.experience}</dt><dd>${escapeHTML(profile.experience)} years</dd></div>
+          <div><dt>${labels.ctc}</dt><dd>₹${escapeHTML(profile.ctc)} LPA</dd></div>
+          ${profile.noticePeriod === undefined ? '' : `
+          <div><dt>${labels.noticePeriod}</dt><dd>${escapeHTML(formatNoticePeriod(profile.noticePeriod))}</dd></div>`}
+          <div class="export-sheet__skills"><dt>${labels.skills}</dt><dd>${skills.map(escapeHTML).join(', ')}</dd></div>
+        </dl>
+      </article>`;
+  }
+
+  // ==========================================================================
+  // Export Actions
+  // ==========================================================================
+
+  /**
+   * Export the chosen profiles in a format
+   * @param {'csv' | 'json' | 'print'} format
+   * @param {Object} [options]
+   * @param {Object[]} [options.profiles] - Defaults to the scope chosen in the menu
+   * @param {string} [options.scope]
+   */
+  function exportProfiles(format, { profiles = getSelectedProfiles(), scope = getSelectedScope() } = {}) {
+    if (profiles.length === 0) return;
+
+    const fileName = `${EXPORT_CONFIG.fileName}-${getDateStamp()}`;
+
+    switch (format) {
+      case 'csv':
+        download(toCsv(profiles), `${fileName}.csv`, 'text/csv;charset=utf-8');
+        break;
+      case 'json':
+        download(toJson(profiles, scope), `${fileName}.json`, 'application/json');
+        break;
+      case 'print':
+        openPrintView(profiles);
+        return;
+      default:
+        return;
+    }
+
+    announce(EXPORT_CONFIG.labels.downloaded(profiles.length, format));
+  }
+
+  /**
+   * Fill the print view and open it
+   * @param {Object[]} profiles
+   */
+  function openPrintView(profiles) {
+    const dialog = window.Flexiple.dialogs && window.Flexiple.dialogs.get(EXPORT_CONFIG.dialogName);
+    if (!dialog) return;
+
+    const { selectors, labels } = EXPORT_CONFIG;
+    const date = new Date().toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+
+    dialog.root.querySelector(selectors.summary).textContent = labels.summary(profiles.length, date);
+    dialog.root.querySelector(selectors.sheet).innerHTML = profiles.map(candidateTemplate).join('');
+
+    dialog.open(button);
+  }
+
+  // ==========================================================================
+  // Menu
+  // ==========================================================================
+
+  /**
+   * Refresh scope counts and disable what can't be exported
+   */
+  function updateMenu() {
+    const scopes = getScopes();
+    const inputs = Array.from(menu.querySelectorAll(EXPORT_CONFIG.selectors.scope));
+
+    inputs.forEach(input => {
+      const count = (scopes[input.value] || []).length;
+      input.disabled = count === 0;
+      const label = input.closest('label');
+      if (label) label.querySelector('span').textContent = EXPORT_CONFIG.labels.scopes[input.value](count);
+    });
+
+    // Move off a scope that has become empty
+    const checked = inputs.find(input => input.checked);
+    if (!checked || checked.disabled) {
+      const fallback = inputs.find(input => !input.disabled);
+      if (fallback) fallback.checked = true;
+    }
+
+    const isEmpty = getSelectedProfiles().length === 0;
+    menu.querySelectorAll(EXPORT_CONFIG.selectors.format).forEach(formatButton => {
+      formatButton.disabled = isEmpty;
+    });
+  }
+
+  /**
+   * Show or hide the menu
+   * @param {boolean} isOpen
+   * @param {Object} [options]
+   * @param {boolean} [options.returnFocus=false]
+   */
+  function setMenuOpen(isOpen, { returnFocus = false } = {}) {
+    if (isOpen) updateMenu();
+
+    menu.hidden = !isOpen;
+    button.setAttribute('aria-expanded', isOpen.toString());
+    wrapper.classList.toggle(EXPORT_CONFIG.classes.open, isOpen);
+
+    if (isOpen) {
+      const first = menu.querySelector(`${EXPORT_CONFIG.selectors.scope}:checked`);
+      if (first) first.focus();
+    } else if (returnFocus) {
+      button.focus();
+    }
+  }
+
+  // ==========================================================================
+  // Event Handlers
+  // ==========================================================================
+
+  /**
+   * Handle format buttons and scope changes inside the menu
+   * @param {MouseEvent} event
+   */
+  function handleMenuClick(event) {
+    const formatButton = event.target.closest(EXPORT_CONFIG.selectors.format);
+    if (!formatButton || formatButton.disabled) return;
+
+    const format = formatButton.dataset.exportFormat;
+    setMenuOpen(false, { returnFocus: format !== 'print' });
+    exportProfiles(format);
+  }
+
+  /**
+   * Close the menu on Escape
+   * @param {KeyboardEvent} event
+   */
+  function handleKeydown(event) {
+    if (event.key === 'Escape' && !menu.hidden) {
+      event.stopPropagation();
+      setMenuOpen(false, { returnFocus: true });
+    }
+  }
+
+  /**
+   * Close the menu when clicking or focusing elsewhere
+   * @param {Event} event
+   */
+  function handleOutside(event) {
+    if (!menu.hidden && !wrapper.contains(event.target)) {
+      setMenuOpen(false);
+    }
+  }
+
+  /**
+   * Print just the sheet
+   */
+  function handlePrintClick() {
+    window.print();
+  }
+
+  // ==========================================================================
+  // Public API
+  // ==========================================================================
+
+  window.Flexiple = window.Flexiple || {};
+  window.Flexiple.export = {
+    /**
+     * Export profiles as 'csv', 'json' or 'print'
+     * @param {'csv' | 'json' | 'print'} format
+     * @param {Object} [options] - { profiles, scope }; defaults to the menu's choice
+     */
+    exportProfiles,
+    toCsv,
+    toJson
+  };
+
+  // ==========================================================================
+  // Initialization
+  // ==========================================================================
+
+  /**
+   * Initialize the export menu and print view
+   */
+  function initExport() {
+    if (!wrapper || !button || !menu || !window.Flexiple.profiles) return;
+
+    button.addEventListener('click', () => setMenuOpen(menu.hidden));
+    menu.addEventListener('click', handleMenuClick);
+    menu.addEventListener('change', updateMenu);
+    wrapper.addEventListener('keydown', handleKeydown);
+    document.addEventListener('click', handleOutside);
+    document.addEventListener('focusin', handleOutside);
+
+    // Keep counts current while the menu is open
+    ['profiles:filtered', 'pagination:change', 'shortlist:change'].forEach(name => {
+      document.addEventListener(name, () => {
+        if (!menu.hidden) updateMenu();
+      });
+    });
+
+    const dialog = window.Flexiple.dialogs && window.Flexiple.dialogs.get(EXPORT_CONFIG.dialogName);
+    if (dialog) {
+      const printButton = dialog.root.querySelector(EXPORT_CONFIG.selectors.print);
+      if (printButton) printButton.addEventListener('click', handlePrintClick);
+
+      dialog.root.addEventListener('dialog:open', () => {
+        document.documentElement.classList.add(EXPORT_CONFIG.classes.printing);
+      });
+      dialog.root.addEventListener('dialog:close', () => {
+        document.documentElement.classList.remove(EXPORT_CONFIG.classes.printing);
+      });
+    }
+
+    wrapper.hidden = false;
+
+    console.log('Profile export initialized');
+  }
+
+  // Run on DOM ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initExport);
+  } else {
+    initExport();
+  }
+
+})();
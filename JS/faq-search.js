@@ -0,0 +1,335 @@
+/**
+ * FAQ Search
+ *
+ * Features:
+ * 1. Search box above each FAQ list (the input's aria-controls names the list)
+ * 2. Filters entries by question and answer text; every word must match
+ * 3. Highlights matches with <mark> and opens matching items through
+ *    Flexiple.faq, so the accordion's aria-expanded logic stays in charge
+ * 4. Debounced input, with a polite result count for screen readers
+ * 5. Empty state with a "View All FAQS" link that clears the search
+ * 6. Restores the previously open items when the search is cleared
+ */
+
+(function () {
+  'use strict';
+
+  // ==========================================================================
+  // Configuration
+  // ==========================================================================
+
+  const FAQ_SEARCH_CONFIG = {
+    debounceDelay: 200,
+    // Shorter queries would highlight nearly every word
+    minQueryLength: 2,
+    selectors: {
+      search: '.faq-search',
+      input: '.faq-search__input',
+      status: '.faq-search__status',
+      empty: '.faq-search__empty',
+      reset: '.faq-search__reset',
+      item: '.faq__item, .faq__question-wrapper',
+      question: '.faq__question'
+    },
+    classes: {
+      mark: 'faq-search__mark'
+    },
+    labels: {
+      status: (count, total) => `${count} of ${total} questions match`
+    }
+  };
+
+  // ==========================================================================
+  // State
+  // ==========================================================================
+
+  // One entry per search box
+  const searches = [];
+
+  // ==========================================================================
+  // Utility Functions
+  // ==========================================================================
+
+  /**
+   * Escape a string for use inside a regular expression
+   * @param {string} value
+   * @returns {string}
+   */
+  function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Split a query into lowercase search terms
+   * @param {string} query
+   * @returns {string[]}
+   */
+  function getTerms(query) {
+    const trimmed = query.trim().toLowerCase();
+    if (trimmed.length < FAQ_SEARCH_CONFIG.minQueryLength) return [];
+    return trimmed.split(/\s+/);
+  }
+
+  /**
+   * Get the answer region a question controls
+   * @param {HTMLElement} question
+   * @returns {HTMLElement|null}
+   */
+  function getAnswer(question) {
+    return document.getElementById(question.getAttribute('aria-controls'));
+  }
+
+  /**
+   * Debounce a function
+   * @param {Function} fn
+   * @param {number} delay
+   * @returns {Function}
+   */
+  function debounce(fn, delay) {
+    let timer = null;
+    const debounced = (...args) => {
+      clearTimeout(timer);
+      timer = setTimeout(() => fn(...args), delay);
+    };
+    debounced.cancel = () => clearTimeout(timer);
+    return debounced;
+  }
+
+  // ==========================================================================
+  // Highlighting
+  // ==========================================================================
+
+  /**
+   * Wrap every occurrence of the terms inside an element's text in <mark>
+   * @param {HTMLElement} root
+   * @param {string[]} terms
+   */
+  function highlight(root, terms) {
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+
+    while (walker.nextNode()) {
+      if (pattern.test(walker.currentNode.nodeValue)) textNodes.push(walker.currentNode);
+      pattern.lastIndex = 0;
+    }
+
+    textNodes.forEach(node => {
+      const fragment = document.createDocumentFragment();
+
+      // Split keeps the captured matches at odd indexes
+      node.nodeValue.split(pattern).forEach((part, index) => {
+        if (!part) return;
+        if (index % 2 === 0) {
+          fragment.appendChild(document.createTextNode(part));
+          return;
+        }
+        const mark = document.createElement('mark');
+        mark.className = FAQ_SEARCH_CONFIG.classes.mark;
+        mark.textContent = part;
+        fragment.appendChild(mark);
+      });
+
+      node.replaceWith(fragment);
+    });
+  }
+
+  /**
+   * Remove highlights added by highlight()
+   * @param {HTMLElement} root
+   */
+  function clearHighlights(root) {
+    root.querySelectorAll(`mark.${FAQ_SEARCH_CONFIG.classes.mark}`).forEach(mark => {
+      const parent = mark.parentNode;
+      mark.replaceWith(document.createTextNode(mark.textContent));
+      parent.normalize();
+    });
+  }
+
+  // ==========================================================================
+  // Searching
+  // ==========================================================================
+
+  /**
+   * Answer ids of the open questions in a list
+   * @param {HTMLElement} list
+   * @returns {string[]}
+   */
+  function getOpenIds(list) {
+    return Array.from(list.querySelectorAll(`${FAQ_SEARCH_CONFIG.selectors.question}[aria-expanded="true"]`))
+      .map(question => question.getAttribute('aria-controls'));
+  }
+
+  /**
+   * Show every item again and put back the items that were open before searching
+   * @param {Object} search
+   */
+  function restore(search) {
+    search.items.forEach(item => {
+      item.element.hidden = false;
+    });
+
+    if (search.openBeforeSearch) {
+      search.items.forEach(({ answerId }) => {
+        if (!search.openBeforeSearch.includes(answerId)) window.Flexiple.faq.close(answerId, { trigger: 'search' });
+      });
+      search.openBeforeSearch.forEach(answerId => window.Flexiple.faq.open(answerId, { trigger: 'search' }));
+      search.openBeforeSearch = null;
+    }
+
+    search.empty.hidden = true;
+    search.status.textContent = '';
+  }
+
+  /**
+   * Filter, highlight and open the items of one list
+   * @param {Object} search
+   * @param {string} query
+   */
+  function runSearch(search, query) {
+    clearHighlights(search.list);
+
+    const terms = getTerms(query);
+    if (terms.length === 0) {
+      restore(search);
+      return;
+    }
+
+    if (!search.openBeforeSearch) {
+      search.openBeforeSearch = getOpenIds(search.list);
+    }
+
+    const matches = search.items.filter(item => {
+      const text = item.element.textContent.toLowerCase();
+      return terms.every(term => text.includes(term));
+    });
+
+    search.items.forEach(item => {
+      item.element.hidden = !matches.includes(item);
+    });
+    matches.forEach(item => highlight(item.element, terms));
+
+    // Single-mode lists can only show one answer, so open the first match there
+    const isMultiple = search.list.dataset.faqMode === 'multiple';
+    (isMultiple ? matches : matches.slice(0, 1)).forEach(item => window.Flexiple.faq.open(item.answerId, { trigger: 'search' }));
+
+    search.empty.hidden = matches.length > 0;
+    search.status.textContent = FAQ_SEARCH_CONFIG.labels.status(matches.length, search.items.length);
+  }
+
+  /**
+   * Empty the search box and show every item
+   * @param {Object} search
+   */
+  function clearSearch(search) {
+    search.input.value = '';
+    search.debouncedRun.cancel();
+    runSearch(search, '');
+  }
+
+  // ==========================================================================
+  // Public API
+  // ==========================================================================
+
+  /**
+   * Find the search box for a list
+   * @param {HTMLElement|string} list - The .faq__list element or its id
+   * @returns {Object|undefined}
+   */
+  function getSearch(list) {
+    const listId = typeof list === 'string' ? list : list.id;
+    return searches.find(search => search.list.id === listId);
+  }
+
+  window.Flexiple = window.Flexiple || {};
+  window.Flexiple.faqSearch = {
+    /**
+     * Search a list immediately
+     * @param {HTMLElement|string} list - The .faq__list element or its id
+     * @param {string} query
+     */
+    search(list, query) {
+      const search = getSearch(list);
+      if (!search) return;
+      search.input.value = query;
+      search.debouncedRun.cancel();
+      runSearch(search, query);
+    },
+    /**
+     * Clear a list's search
+     * @param {HTMLElement|string} list - The .faq__list element or its id
+     */
+    clear(list) {
+      const search = getSearch(list);
+      if (search) clearSearch(search);
+    }
+  };
+
+  // ==========================================================================
+  // Initialization
+  // ==========================================================================
+
+  /**
+   * Wire up every FAQ search box
+   */
+  function initFaqSearch() {
+    if (!window.Flexiple.faq) return;
+
+    const { selectors } = FAQ_SEARCH_CONFIG;
+
+    document.querySelectorAll(selectors.search).forEach(wrapper => {
+      const input = wrapper.querySelector(selectors.input);
+      const list = input && document.getElementById(input.getAttribute('aria-controls'));
+      if (!list) return;
+
+      const items = Array.from(list.querySelectorAll(selectors.item))
+        .map(element => {
+          const question = element.querySelector(selectors.question);
+          return { element, question, answerId: question && question.getAttribute('aria-controls') };
+        })
+        .filter(item => item.question && getAnswer(item.question));
+
+      const search = {
+        input,
+        list,
+        items,
+        status: wrapper.querySelector(selectors.status),
+        empty: wrapper.querySelector(selectors.empty),
+        // Answer ids that were open when the current search started
+        openBeforeSearch: null,
+        debouncedRun: null
+      };
+      search.debouncedRun = debounce(query => runSearch(search, query), FAQ_SEARCH_CONFIG.debounceDelay);
+      searches.push(search);
+
+      input.addEventListener('input', () => search.debouncedRun(input.value));
+      input.addEventListener('keydown', event => {
+        if (event.key === 'Escape' && input.value) {
+          event.stopPropagation();
+          clearSearch(search);
+        }
+      });
+
+      const reset = wrapper.querySelector(selectors.reset);
+      if (reset) {
+        reset.addEventListener('click', event => {
+          event.preventDefault();
+          clearSearch(search);
+          input.focus();
+        });
+      }
+
+      wrapper.hidden = false;
+    });
+
+    console.log(`FAQ search initialized for ${searches.length} lists`);
+  }
+
+  // Run on DOM ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initFaqSearch);
+  } else {
+    initFaqSearch();
+  }
+
+})();
@@ -0,0 +1,602 @@
+/**
+ * Profile Filters (Skills / Notice period)
+ *
+ * Features:
+ * 1. Multi-select listbox popovers built from the rendered profile data
+ * 2. Filters the visible `.profile-card` items through Flexiple.profiles.setFilter
+ * 3. Removable chips for every active filter value, plus "Clear all"
+ * 4. Keyboard support: Arrow keys, Home/End, Enter/Space to toggle, Escape to close
+ * 5. ARIA attribute management (aria-expanded, aria-selected, aria-controls)
+ */
+
+(function () {
+  'use strict';
+
+  // ==========================================================================
+  // Configuration
+  // ==========================================================================
+
+  const FILTERS_CONFIG = {
+    selectors: {
+      dropdown: '.filter-dropdown[data-filter]',
+      button: '.filter-dropdown__btn',
+      chips: '.filters__chips'
+    },
+    classes: {
+      open: 'is-open',
+      menu: 'filter-dropdown__menu',
+      option: 'filter-dropdown__option',
+      badge: 'filter-dropdown__badge',
+      chip: 'filter-chip',
+      clear: 'filters__clear'
+    },
+    events: {
+      change: 'filters:change'
+    }
+  };
+
+  /**
+   * Canonical skill name from the shared taxonomy (skills.js), if loaded
+   * @param {string} skill
+   * @returns {string}
+   */
+  function normaliseSkill(skill) {
+    return window.Flexiple && window.Flexiple.skills ? window.Flexiple.skills.normalise(skill) : skill;
+  }
+
+  /**
+   * Filter definitions keyed by the `data-filter` attribute value.
+   * `match: 'all'` requires every selected value, `'any'` at least one.
+   */
+  const FILTER_DEFINITIONS = {
+    skills: {
+      label: 'Skills',
+      match: 'all',
+      // Aliases ("ReactJS", "React.js") share one option
+      getValues: profile => [profile.primarySkill, ...profile.skills].map(normaliseSkill),
+      normaliseValue: normaliseSkill,
+      formatValue: value => value,
+      compareValues: (a, b) => a.localeCompare(b)
+    },
+    notice: {
+      label: 'Notice period',
+      match: 'any',
+      getValues: profile => (profile.noticePeriod === undefined ? [] : [String(profile.noticePeriod)]),
+      normaliseValue: String,
+      formatValue: value => window.Flexiple.profiles.formatNoticePeriod(Number(value)),
+      compareValues: (a, b) => Number(a) - Number(b)
+    }
+  };
+
+  // ==========================================================================
+  // State
+  // ==========================================================================
+
+  // Selected values per filter name
+  const selected = {};
+  // Per-filter DOM references: { dropdown, button, menu, badge }
+  const controls = {};
+  let openFilter = null;
+
+  // ==========================================================================
+  // DOM References
+  // ==========================================================================
+
+  const dropdowns = document.querySelectorAll(FILTERS_CONFIG.selectors.dropdown);
+  const chipsContainer = document.querySelector(FILTERS_CONFIG.selectors.chips);
+
+  // ==========================================================================
+  // Utility Functions
+  // ==========================================================================
+
+  /**
+   * Get the option elements of a filter's listbox
+   * @param {string} name
+   * @returns {HTMLElement[]}
+   */
+  function getOptions(name) {
+    return Array.from(controls[name].menu.querySelectorAll(`.${FILTERS_CONFIG.classes.option}`));
+  }
+
+  /**
+   * Build an element id that is safe to use in aria-controls
+   * @param {string} name
+   * @param {string} value
+   * @returns {string}
+   */
+  function optionId(name, value) {
+    return `filter-${name}-${String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`;
+  }
+
+  // ==========================================================================
+  // Listbox Rendering
+  // ==========================================================================
+
+  /**
+   * Create the listbox element for a dropdown
+   * @param {string} name
+   */
+  function createMenu(name) {
+    const { dropdown } = controls[name];
+    const menu = document.createElement('ul');
+    menu.className = FILTERS_CONFIG.classes.menu;
+    menu.id = `filter-${name}-listbox`;
+    menu.setAttribute('role', 'listbox');
+    menu.setAttribute('aria-multiselectable', 'true');
+    menu.setAttribute('aria-label', FILTER_DEFINITIONS[name].label);
+    menu.hidden = true;
+    dropdown.appendChild(menu);
+
+    controls[name].button.setAttribute('aria-controls', menu.id);
+    controls[name].menu = menu;
+
+    menu.addEventListener('click', handleOptionClick);
+    menu.addEventListener('keydown', handleMenuKeydown);
+  }
+
+  /**
+   * Fill a listbox with one option per distinct value in the profile data
+   * @param {string} name
+   * @param {Array} profiles
+   */
+  function renderOptions(name, profiles) {
+    const definition = FILTER_DEFINITIONS[name];
+    const counts = new Map();
+
+    profiles.forEach(profile => {
+      new Set(definition.getValues(profile)).forEach(value => {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      });
+    });
+
+    const values = Array.from(counts.keys()).sort(definition.compareValues);
+    const { menu } = controls[name];
+    menu.innerHTML = '';
+
+    values.forEach(value => {
+      const option = document.createElement('li');
+      option.className = FILTERS_CONFIG.classes.option;
+      option.id = optionId(name, value);
+      option.setAttribute('role', 'option');
+      option.setAttribute('tabindex', '-1');
+      option.setAttribute('aria-selected', selected[name].has(value).toString());
+      option.dataset.value = value;
+      option.textContent = definition.formatValue(value);
+
+      const count = document.createElement('span');
+      count.className = 'filter-dropdown__count';
+      count.textContent = counts.get(value);
+      option.appendChild(count);
+
+      menu.appendChild(option);
+    });
+
+    // Drop selections that no longer exist in the data
+    selected[name].forEach(value => {
+      if (!counts.has(value)) selected[name].delete(value);
+    });
+  }
+
+  /**
+   * Update the selected-count badge on a dropdown button
+   * @param {string} name
+   */
+  function updateBadge(name) {
+    const control = controls[name];
+    const count = selected[name].size;
+
+    if (!control.badge) {
+      control.badge = document.createElement('span');
+      control.badge.className = FILTERS_CONFIG.classes.badge;
+      control.button.insertBefore(control.badge, control.button.querySelector('svg'));
+    }
+
+    control.badge.textContent = count;
+    control.badge.hidden = count === 0;
+    control.badge.setAttribute('aria-label', `${count} selected`);
+  }
+
+  // ==========================================================================
+  // Chips
+  // ==========================================================================
+
+  /**
+   * Render one removable chip per active filter value
+   */
+  function renderChips() {
+    if (!chipsContainer) return;
+
+    chipsContainer.innerHTML = '';
+    let total = 0;
+
+    Object.keys(selected).forEach(name => {
+      const definition = FILTER_DEFINITIONS[name];
+
+      selected[name].forEach(value => {
+        const label = definition.formatValue(value);
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = FILTERS_CONFIG.classes.chip;
+        chip.dataset.filter = name;
+        chip.dataset.value = value;
+        chip.setAttribute('aria-label', `Remove ${definition.label} filter: ${label}`);
+        chip.innerHTML = '<span class="filter-chip__label"></span>' +
+          '<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">' +
+          '<path d="M18 6 6 18M6 6l12 12" /></svg>';
+        chip.querySelector('.filter-chip__label').textContent = label;
+        chipsContainer.appendChild(chip);
+        total++;
+      });
+    });
+
+    if (total > 1) {
+      const clearButton = document.createElement('button');
+      clearButton.type = 'button';
+      clearButton.className = FILTERS_CONFIG.classes.clear;
+      clearButton.textContent = 'Clear all';
+      chipsContainer.appendChild(clearButton);
+    }
+
+    chipsContainer.hidden = total === 0;
+  }
+
+  /**
+   * Handle clicks on chips and the "Clear all" button
+   * @param {MouseEvent} event
+   */
+  function handleChipsClick(event) {
+    const chip = event.target.closest(`.${FILTERS_CONFIG.classes.chip}`);
+
+    if (chip) {
+      const chipSelector = `.${FILTERS_CONFIG.classes.chip}`;
+      const index = Array.from(chipsContainer.querySelectorAll(chipSelector)).indexOf(chip);
+      const { filter: name, value } = chip.dataset;
+      toggleValue(name, value, false);
+
+      // Keep focus in the chip row, or fall back to the dropdown button
+      const remaining = chipsContainer.querySelectorAll(chipSelector);
+      const focusTarget = remaining[Math.min(index, remaining.length - 1)];
+      (focusTarget || controls[name].button).focus();
+      return;
+    }
+
+    if (event.target.closest(`.${FILTERS_CONFIG.classes.clear}`)) {
+      clearAll();
+      const firstName = Object.keys(controls)[0];
+      if (firstName) controls[firstName].button.focus();
+    }
+  }
+
+  // ==========================================================================
+  // Selection & Filtering
+  // ==========================================================================
+
+  /**
+   * Select or deselect a single value
+   * @param {string} name
+   * @param {string} value
+   * @param {boolean} [force] - Force selected (true) or deselected (false)
+   */
+  function toggleValue(name, value, force) {
+    const values = selected[name];
+    const normalised = FILTER_DEFINITIONS[name].normaliseValue(value);
+    const shouldSelect = force === undefined ? !values.has(normalised) : force;
+
+    if (shouldSelect) {
+      values.add(normalised);
+    } else {
+      values.delete(normalised);
+    }
+
+    update(name);
+  }
+
+  /**
+   * Replace all selected values for a filter
+   * @param {string} name
+   * @param {string[]} values
+   */
+  function setSelected(name, values) {
+    if (!selected[name]) return;
+
+    selected[name] = new Set(values.map(FILTER_DEFINITIONS[name].normaliseValue));
+    update(name);
+  }
+
+  /**
+   * Clear every filter
+   */
+  function clearAll() {
+    Object.keys(selected).forEach(name => {
+      selected[name].clear();
+      update(name, false);
+    });
+    notifyChange();
+  }
+
+  /**
+   * Sync option state, badge, chips and the profile list for one filter
+   * @param {string} name
+   * @param {boolean} [notify=true] - Dispatch the change event
+   */
+  function update(name, notify = true) {
+    getOptions(name).forEach(option => {
+      option.setAttribute('aria-selected', selected[name].has(option.dataset.value).toString());
+    });
+
+    updateBadge(name);
+    renderChips();
+    applyFilter(name);
+
+    if (notify) notifyChange();
+  }
+
+  /**
+   * Register the filter predicate with the profile list
+   * @param {string} name
+   */
+  function applyFilter(name) {
+    const definition = FILTER_DEFINITIONS[name];
+    const values = Array.from(selected[name]);
+
+    if (values.length === 0) {
+      window.Flexiple.profiles.setFilter(name, null);
+      return;
+    }
+
+    window.Flexiple.profiles.setFilter(name, profile => {
+      const profileValues = definition.getValues(profile);
+      return definition.match === 'all'
+        ? values.every(value => profileValues.includes(value))
+        : values.some(value => profileValues.includes(value));
+    });
+  }
+
+  /**
+   * Let other modules know the selection changed
+   */
+  function notifyChange() {
+    document.dispatchEvent(new CustomEvent(FILTERS_CONFIG.events.change, {
+      detail: { selected: getSelectedAll() }
+    }));
+  }
+
+  /**
+   * Snapshot of every filter's selected values
+   * @returns {Object<string, string[]>}
+   */
+  function getSelectedAll() {
+    const snapshot = {};
+    Object.keys(selected).forEach(name => {
+      snapshot[name] = Array.from(selected[name]);
+    });
+    return snapshot;
+  }
+
+  // ==========================================================================
+  // Open / Close
+  // ==========================================================================
+
+  /**
+   * Open a filter listbox
+   * @param {string} name
+   * @param {'first' | 'last' | 'selected'} [focusTarget='selected']
+   */
+  function openMenu(name, focusTarget = 'selected') {
+    if (openFilter && openFilter !== name) {
+      closeMenu(openFilter);
+    }
+
+    const control = controls[name];
+    control.menu.hidden = false;
+    control.dropdown.classList.add(FILTERS_CONFIG.classes.open);
+    control.button.setAttribute('aria-expanded', 'true');
+    openFilter = name;
+
+    const options = getOptions(name);
+    let target = options[0];
+    if (focusTarget === 'last') {
+      target = options[options.length - 1];
+    } else if (focusTarget === 'selected') {
+      target = options.find(option => option.getAttribute('aria-selected') === 'true') || options[0];
+    }
+    if (target) target.focus();
+  }
+
+  /**
+   * Close a filter listbox
+   * @param {string} name
+   * @param {boolean} [returnFocus=false] - Move focus back to the button
+   */
+  function closeMenu(name, returnFocus = false) {
+    const control = controls[name];
+    control.menu.hidden = true;
+    control.dropdown.classList.remove(FILTERS_CONFIG.classes.open);
+    control.button.setAttribute('aria-expanded', 'false');
+
+    if (openFilter === name) {
+      openFilter = null;
+    }
+    if (returnFocus) {
+      control.button.focus();
+    }
+  }
+
+  // ==========================================================================
+  // Event Handlers
+  // ==========================================================================
+
+  /**
+   * Toggle the listbox when its button is clicked
+   * @param {MouseEvent} event
+   */
+  function handleButtonClick(event) {
+    const name = event.currentTarget.closest(FILTERS_CONFIG.selectors.dropdown).dataset.filter;
+
+    if (openFilter === name) {
+      closeMenu(name);
+    } else {
+      openMenu(name);
+    }
+  }
+
+  /**
+   * Open the listbox from the button with ArrowDown/ArrowUp
+   * @param {KeyboardEvent} event
+   */
+  function handleButtonKeydown(event) {
+    const name = event.currentTarget.closest(FILTERS_CONFIG.selectors.dropdown).dataset.filter;
+
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      openMenu(name, 'first');
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      openMenu(name, 'last');
+    }
+  }
+
+  /**
+   * Toggle an option when it is clicked
+   * @param {MouseEvent} event
+   */
+  function handleOptionClick(event) {
+    const option = event.target.closest(`.${FILTERS_CONFIG.classes.option}`);
+    if (!option) return;
+
+    const name = option.closest(FILTERS_CONFIG.selectors.dropdown).dataset.filter;
+    toggleValue(name, option.dataset.value);
+    option.focus();
+  }
+
+  /**
+   * Keyboard navigation inside an open listbox
+   * @param {KeyboardEvent} event
+   */
+  function handleMenuKeydown(event) {
+    const name = openFilter;
+    if (!name) return;
+
+    const options = getOptions(name);
+    const currentIndex = options.indexOf(document.activeElement);
+
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        options[currentIndex < options.length - 1 ? currentIndex + 1 : 0]?.focus();
+        break;
+
+      case 'ArrowUp':
+        event.preventDefault();
+        options[currentIndex > 0 ? currentIndex - 1 : options.length - 1]?.focus();
+        break;
+
+      case 'Home':
+        event.preventDefault();
+        options[0]?.focus();
+        break;
+
+      case 'End':
+        event.preventDefault();
+        options[options.length - 1]?.focus();
+        break;
+
+      case 'Enter':
+      case ' ':
+        event.preventDefault();
+        if (currentIndex !== -1) {
+          toggleValue(name, options[currentIndex].dataset.value);
+        }
+        break;
+
+      case 'Escape':
+        event.preventDefault();
+        // Keep the navbar's document-level Escape handler out of it
+        event.stopPropagation();
+        closeMenu(name, true);
+        break;
+
+      case 'Tab':
+        closeMenu(name);
+        break;
+    }
+  }
+
+  /**
+   * Close the open listbox when clicking elsewhere
+   * @param {MouseEvent} event
+   */
+  function handleClickOutside(event) {
+    if (openFilter && !controls[openFilter].dropdown.contains(event.target)) {
+      closeMenu(openFilter);
+    }
+  }
+
+  /**
+   * Rebuild options whenever the profile cards are (re)rendered
+   * @param {CustomEvent} event
+   */
+  function handleProfilesRendered(event) {
+    Object.keys(controls).forEach(name => {
+      renderOptions(name, event.detail.profiles);
+      update(name, false);
+    });
+  }
+
+  // ==========================================================================
+  // Public API
+  // ==========================================================================
+
+  window.Flexiple = window.Flexiple || {};
+  window.Flexiple.filters = {
+    /** @returns {Object<string, string[]>} Selected values per filter */
+    getSelected: getSelectedAll,
+    setSelected,
+    toggleValue,
+    clearAll
+  };
+
+  // ==========================================================================
+  // Initialization
+  // ==========================================================================
+
+  /**
+   * Wire up every filter dropdown
+   */
+  function initFilters() {
+    if (!window.Flexiple.profiles || dropdowns.length === 0) return;
+
+    dropdowns.forEach(dropdown => {
+      const name = dropdown.dataset.filter;
+      const button = dropdown.querySelector(FILTERS_CONFIG.selectors.button);
+      if (!FILTER_DEFINITIONS[name] || !button) return;
+
+      selected[name] = new Set();
+      controls[name] = { dropdown, button, menu: null, badge: null };
+      createMenu(name);
+
+      button.addEventListener('click', handleButtonClick);
+      button.addEventListener('keydown', handleButtonKeydown);
+
+      // Profiles may already be rendered if their data loaded first
+      renderOptions(name, window.Flexiple.profiles.getAll());
+    });
+
+    if (chipsContainer) {
+      chipsContainer.addEventListener('click', handleChipsClick);
+    }
+
+    document.addEventListener('profiles:rendered', handleProfilesRendered);
+    document.addEventListener('click', handleClickOutside);
+
+    console.log(`Profile filters initialized: ${Object.keys(controls).join(', ')}`);
+  }
+
+  // Run on DOM ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initFilters);
+  } else {
+    initFilters();
+  }
+
+})();
@@ -0,0 +1,69 @@
+/**
+ * Bootstrapper
+ *
+ * Entry point for the ES-module components. Markup opts in with
+ * `data-component="name"`; this module registers every component with the
+ * registry (JS/components.js) and starts it.
+ *
+ * Features:
+ * 1. One list of components: navbar, accordion, carousel, toc
+ * 2. Starts the registry on DOM ready: init(root) for the page, destroy(root)
+ *    for removed content, and a MutationObserver for content added later
+ * 3. Hands the shared APIs to the classic scripts that still read them from
+ *    `window.Flexiple` (faq-search, router, skill-tags)
+ *
+ * Loaded with <script type="module">, so it runs after the classic scripts
+ * have been parsed and before their DOMContentLoaded handlers.
+ */
+
+import * as components from './components.js';
+import * as viewport from './viewport.js';
+import * as navbar from './navbar.js';
+import * as accordion from './accordion.js';
+import * as carousel from './carousel.js';
+import * as toc from './toc.js';
+
+// ==========================================================================
+// Configuration
+// ==========================================================================
+
+// Component modules by data-component name; each exports init and destroy
+const COMPONENTS = {
+  navbar,
+  accordion,
+  carousel,
+  toc
+};
+
+// ==========================================================================
+// Registration
+// ==========================================================================
+
+Object.entries(COMPONENTS).forEach(([name, definition]) => {
+  components.register(name, definition);
+});
+
+// ==========================================================================
+// Classic Scripts
+// ==========================================================================
+
+window.Flexiple = window.Flexiple || {};
+window.Flexiple.viewport = {
+  getBreakpoint: viewport.getBreakpoint,
+  isAtMost: viewport.isAtMost,
+  onResize: viewport.onResize,
+  onBreakpointChange: viewport.onBreakpointChange
+};
+window.Flexiple.faq = accordion.faq;
+window.Flexiple.carousels = carousel.carousels;
+
+// ==========================================================================
+// Initialization
+// ==========================================================================
+
+// Run on DOM ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', components.start);
+} else {
+  components.start();
+}
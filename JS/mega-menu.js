@@ -0,0 +1,308 @@
+/**
+ * Mega Menu Renderer
+ *
+ * Builds the navbar mega menus from a JSON navigation schema instead of
+ * hand-written markup. The navbar (JS/navbar.js) still owns opening, closing
+ * and keyboard handling; this module only fills `[data-mega-menu]` containers.
+ *
+ * Features:
+ * 1. Sidebar sections, pill groups, a footer with an optional CTA, or cards
+ * 2. Outputs the existing BEM markup (.mega-section, .pill, .mega-card, …)
+ * 3. Lazy: a menu is built the first time it opens (`megamenu:open`), or
+ *    all at once with data-nav-lazy="false" on the nav
+ * 4. Pills naming a known skill become skill links (JS/skills.js)
+ * 5. Bubbling `megamenu:rendered` event once a menu's content exists
+ *
+ * Schema (JS/data/navigation.json):
+ *   { "menus": [{
+ *       "id": "companies",
+ *       "sections": [{ "title", "description", "href" }],
+ *       "pillGroups": [{ "label", "pills": ["React.js", { "label", "href" }] }],
+ *       "footer": { "title", "description", "cta": { "label", "href" } },
+ *       "cards": [{ "title", "subtitle", "description", "href" }]
+ *   }] }
+ */
+
+(function () {
+  'use strict';
+
+  // ==========================================================================
+  // Configuration
+  // ==========================================================================
+
+  const MEGA_MENU_CONFIG = {
+    lazy: true,
+    selectors: {
+      nav: '.nav[data-nav-src]',
+      menu: '[data-mega-menu]'
+    },
+    events: {
+      open: 'megamenu:open',
+      rendered: 'megamenu:rendered'
+    }
+  };
+
+  // ==========================================================================
+  // State
+  // ==========================================================================
+
+  // Menu schemas by id, once loaded
+  const schemas = new Map();
+  // Menu ids asked for before the schema arrived
+  const pendingIds = new Set();
+  let isLoaded = false;
+
+  // ==========================================================================
+  // DOM References
+  // ==========================================================================
+
+  const nav = document.querySelector(MEGA_MENU_CONFIG.selectors.nav);
+
+  // ==========================================================================
+  // Templates
+  // ==========================================================================
+
+  /**
+   * Escape a value for use in HTML text or attributes
+   * @param {*} value
+   * @returns {string}
+   */
+  function escapeHTML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * @param {Object} section
+   * @returns {string}
+   */
+  function sectionTemplate(section) {
+    return `
+      <a href="${escapeHTML(section.href || '#')}" class="mega-section">
+        <h3 class="mega-section__title">${escapeHTML(section.title)}</h3>
+        <p class="mega-section__description">${escapeHTML(section.description)}</p>
+      </a>
+    `;
+  }
+
+  /**
+   * @param {Object} group
+   * @returns {string}
+   */
+  function pillGroupTemplate(group) {
+    const pills = (group.pills || [])
+      .map(pill => (typeof pill === 'string' ? { label: pill } : pill))
+      .map(pill => `<a href="${escapeHTML(pill.href || '#')}" class="pill">${escapeHTML(pill.label)}</a>`)
+      .join('');
+
+    return `<div class="pills" role="group" aria-label="${escapeHTML(group.label)}">${pills}</div>`;
+  }
+
+  /**
+   * @param {Object} footer
+   * @returns {string}
+   */
+  function footerTemplate(footer) {
+    const cta = footer.cta
+      ? `<a href="${escapeHTML(footer.cta.href || '#')}" class="mega-menu__footer-cta">${escapeHTML(footer.cta.label)}</a>`
+      : '';
+
+    return `
+      <div class="mega-menu__footer">
+        <h4 class="mega-menu__footer-title">${escapeHTML(footer.title)}</h4>
+        <p class="mega-menu__footer-description">${escapeHTML(footer.description)}</p>
+        ${cta}
+      </div>
+    `;
+  }
+
+  /**
+   * @param {Object} card
+   * @returns {string}
+   */
+  function cardTemplate(card) {
+    return `
+      <a href="${escapeHTML(card.href || '#')}" class="mega-card">
+        <div class="mega-card__header">
+          <h3 class="mega-card__title">${escapeHTML(card.title)}</h3>
+          <span class="mega-card__subtitle">${escapeHTML(card.subtitle)}</span>
+        </div>
+        <p class="mega-card__description">${escapeHTML(card.description)}</p>
+      </a>
+    `;
+  }
+
+  /**
+   * Markup for one menu: a cards grid, or sidebar sections next to pills and a footer
+   * @param {Object} schema
+   * @returns {string}
+   */
+  function menuTemplate(schema) {
+    if (schema.cards) {
+      return `
+        <div class="mega-menu__container">
+          <div class="mega-menu__cards">${schema.cards.map(cardTemplate).join('')}</div>
+        </div>
+      `;
+    }
+
+    const sidebar = schema.sections
+      ? `<div class="mega-menu__sidebar">${schema.sections.map(sectionTemplate).join('')}</div>`
+      : '';
+
+    return `
+      <div class="mega-menu__container">
+        <div class="mega-menu__layout">
+          ${sidebar}
+          <div class="mega-menu__content">
+            ${(schema.pillGroups || []).map(pillGroupTemplate).join('')}
+            ${schema.footer ? footerTemplate(schema.footer) : ''}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  // ==========================================================================
+  // Rendering
+  // ==========================================================================
+
+  /**
+   * Build a menu's content unless it already has some
+   * @param {HTMLElement} menu - A [data-mega-menu] container
+   * @returns {boolean} Whether the menu has content afterwards
+   */
+  function render(menu) {
+    if (menu.childElementCount > 0) return true;
+
+    const id = menu.dataset.megaMenu;
+    if (!isLoaded) {
+      pendingIds.add(id);
+      return false;
+    }
+
+    const schema = schemas.get(id);
+    if (!schema) {
+      console.warn(`Mega menu: no "${id}" menu in the navigation schema`);
+      return false;
+    }
+
+    menu.innerHTML = menuTemplate(schema);
+
+    if (window.Flexiple.skills) {
+      window.Flexiple.skills.enhance(menu);
+    }
+
+    menu.dispatchEvent(new CustomEvent(MEGA_MENU_CONFIG.events.rendered, {
+      bubbles: true,
+      detail: { id, menu }
+    }));
+    return true;
+  }
+
+  /**
+   * Render every menu
+   */
+  function renderAll() {
+    nav.querySelectorAll(MEGA_MENU_CONFIG.selectors.menu).forEach(render);
+  }
+
+  /**
+   * Render a menu as the navbar opens it
+   * @param {CustomEvent} event - megamenu:open
+   */
+  function handleOpen(event) {
+    const { menu } = event.detail;
+    if (menu && menu.matches(MEGA_MENU_CONFIG.selectors.menu)) {
+      render(menu);
+    }
+  }
+
+  /**
+   * Fetch the navigation schema, then render what's needed so far
+   * @param {string} url
+   * @returns {Promise<void>}
+   */
+  function load(url) {
+    return fetch(url)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+      })
+      .then(data => {
+        (data.menus || []).forEach(schema => schemas.set(schema.id, schema));
+        isLoaded = true;
+
+        if (!isLazy()) {
+          renderAll();
+          return;
+        }
+
+        // Menus opened while the schema was on its way
+        pendingIds.forEach(id => {
+          const menu = nav.querySelector(`[data-mega-menu="${CSS.escape(id)}"]`);
+          if (menu) render(menu);
+        });
+        pendingIds.clear();
+      })
+      .catch(error => {
+        console.error(`Mega menu: could not load ${url}`, error);
+      });
+  }
+
+  /**
+   * @returns {boolean} Whether menus wait until they're first opened
+   */
+  function isLazy() {
+    return nav.dataset.navLazy ? nav.dataset.navLazy !== 'false' : MEGA_MENU_CONFIG.lazy;
+  }
+
+  // ==========================================================================
+  // Public API
+  // ==========================================================================
+
+  window.Flexiple = window.Flexiple || {};
+  window.Flexiple.megaMenu = {
+    /**
+     * Build a menu now
+     * @param {string} id - data-mega-menu value
+     * @returns {boolean} Whether the menu has content
+     */
+    render: id => {
+      const menu = nav && nav.querySelector(`[data-mega-menu="${CSS.escape(id)}"]`);
+      return menu ? render(menu) : false;
+    },
+    /** @returns {boolean} Whether the navigation schema has loaded */
+    isLoaded: () => isLoaded
+  };
+
+  // ==========================================================================
+  // Initialization
+  // ==========================================================================
+
+  /**
+   * Initialize the mega menu renderer
+   */
+  function initMegaMenu() {
+    if (!nav) return;
+
+    nav.addEventListener(MEGA_MENU_CONFIG.events.open, handleOpen);
+    load(nav.dataset.navSrc);
+
+    console.log(`Mega menu renderer initialized (${isLazy() ? 'lazy' : 'eager'})`);
+  }
+
+  // Run on DOM ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initMegaMenu);
+  } else {
+    initMegaMenu();
+  }
+
+})();
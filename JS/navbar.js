@@ -0,0 +1,864 @@
+/**
+ * Flexiple Navbar - JavaScript Interactions
+ * 
+ * Features:
+ * 1. Hover-intent mega menu on desktop: configurable open/close delays, and
+ *    menus don't switch while the pointer is heading into the open one
+ * 2. Click-based toggle on mobile
+ * 3. Keyboard navigation: Enter/Space/Escape, ArrowLeft/Right and Home/End
+ *    between triggers, 2-D arrows across mega menu columns, pill type-ahead
+ * 4. ARIA attribute management
+ * 5. Mobile menu toggle with a focus trap while open
+ * 6. ES module exporting init(root) / destroy() for the `navbar` component
+ *    (registered in JS/main.js); destroying it removes every listener and
+ *    closes open menus
+ * 
+ * @author Senior Frontend Engineer
+ * @version 1.0.0
+ */
+
+import { isAtMost, onBreakpointChange } from './viewport.js';
+
+// ==========================================================================
+// Configuration
+// ==========================================================================
+
+const CONFIG = {
+  // Hover intent for desktop menus; the delays can be overridden with
+  // data-hover-open-delay, data-hover-switch-delay and data-hover-close-delay on the nav
+  hoverIntent: {
+    // Pause before the first menu opens
+    openDelay: 80,
+    // Pause before switching from one open menu to another
+    switchDelay: 40,
+    // Delay before closing menu (prevents accidental close when moving between nav and menu)
+    closeDelay: 150,
+    // While the pointer is heading for the open menu, look again after this long
+    aimDelay: 200,
+    // Faster than this (px/ms) counts as passing over rather than stopping
+    sensitivity: 0.3,
+    // Pointer samples older than this (ms) mean it has stopped
+    sampleWindow: 100,
+    // Extra width (px) on each side of the menu when checking the pointer's aim
+    aimTolerance: 40
+  },
+  // Widest breakpoint (JS/viewport.js) that uses the mobile nav
+  mobileBreakpoint: 'tablet',
+  // Pause after which type-ahead starts a new search
+  typeAheadDelay: 500,
+  // Keyboard navigation targets
+  selectors: {
+    trigger: '.nav__link',
+    menuItem: 'a[href], button:not([disabled])',
+    menuColumn: '.mega-menu__sidebar, .mega-menu__content, .mega-card',
+    pill: '.pill'
+  },
+  // CSS class names
+  classes: {
+    navItem: 'nav__item--has-dropdown',
+    megaMenu: 'mega-menu',
+    active: 'is-active',
+    mobileOpen: 'is-open'
+  },
+  // ARIA attributes
+  aria: {
+    expanded: 'aria-expanded',
+    haspopup: 'aria-haspopup'
+  },
+  // Dispatched on the nav item; JS/mega-menu.js renders the menu on first open
+  events: {
+    open: 'megamenu:open'
+  }
+};
+
+// ==========================================================================
+// State
+// ==========================================================================
+
+let closeTimeout = null;
+let currentOpenItem = null;
+// Hover intent: recent pointer positions and the item waiting to open
+let pointerSamples = [];
+let intentTimeout = null;
+let pendingItem = null;
+let typeAheadBuffer = '';
+let typeAheadTimeout = null;
+// Removes every listener added by init()
+let listeners = null;
+let unsubscribeBreakpoint = null;
+
+// ==========================================================================
+// DOM References
+// ==========================================================================
+
+// Set by init() from the component's root element
+let header = null;
+let nav = null;
+let navItems = [];
+let mobileToggle = null;
+
+// ==========================================================================
+// Utility Functions
+// ==========================================================================
+
+/**
+ * Check if we're on mobile viewport
+ * @returns {boolean}
+ */
+function isMobile() {
+  return isAtMost(CONFIG.mobileBreakpoint);
+}
+
+/**
+ * Clear any pending close timeout
+ */
+function clearCloseTimeout() {
+  if (closeTimeout) {
+    clearTimeout(closeTimeout);
+    closeTimeout = null;
+  }
+}
+
+/**
+ * Update ARIA expanded attribute
+ * @param {HTMLElement} button - The nav button
+ * @param {boolean} isExpanded - Whether menu is expanded
+ */
+function setAriaExpanded(button, isExpanded) {
+  button.setAttribute(CONFIG.aria.expanded, isExpanded.toString());
+}
+
+// ==========================================================================
+// Menu Open/Close Functions
+// ==========================================================================
+
+/**
+ * Open a mega menu
+ * @param {HTMLElement} navItem - The nav item containing the menu
+ */
+function openMenu(navItem) {
+  // Close any other open menu first
+  if (currentOpenItem && currentOpenItem !== navItem) {
+    closeMenu(currentOpenItem);
+  }
+
+  clearCloseTimeout();
+
+  // Let the menu's content be built before it becomes visible
+  navItem.dispatchEvent(new CustomEvent(CONFIG.events.open, {
+    bubbles: true,
+    detail: { navItem, menu: navItem.querySelector(`.${CONFIG.classes.megaMenu}`) }
+  }));
+
+  navItem.classList.add(CONFIG.classes.active);
+  const button = navItem.querySelector('button');
+  if (button) {
+    setAriaExpanded(button, true);
+  }
+
+  currentOpenItem = navItem;
+}
+
+/**
+ * Close a mega menu
+ * @param {HTMLElement} navItem - The nav item containing the menu
+ */
+function closeMenu(navItem) {
+  navItem.classList.remove(CONFIG.classes.active);
+  const button = navItem.querySelector('button');
+  if (button) {
+    setAriaExpanded(button, false);
+  }
+
+  if (currentOpenItem === navItem) {
+    currentOpenItem = null;
+  }
+}
+
+/**
+ * Close all mega menus
+ */
+function closeAllMenus() {
+  navItems.forEach(item => closeMenu(item));
+  currentOpenItem = null;
+}
+
+/**
+ * Schedule menu close with delay
+ * @param {HTMLElement} navItem - The nav item to close
+ */
+function scheduleClose(navItem) {
+  clearCloseTimeout();
+  closeTimeout = setTimeout(() => {
+    closeTimeout = null;
+    // Keep the menu while the pointer is still on its way into it
+    if (navItem === currentOpenItem && isAimingAt(navItem)) {
+      scheduleClose(navItem);
+      return;
+    }
+    closeMenu(navItem);
+  }, getHoverDelay('closeDelay'));
+}
+
+// ==========================================================================
+// Hover Intent
+// ==========================================================================
+
+/**
+ * A hover delay from the nav's data attributes, or the configured default
+ * @param {'openDelay' | 'switchDelay' | 'closeDelay'} name
+ * @returns {number}
+ */
+function getHoverDelay(name) {
+  const attribute = nav.dataset[`hover${name.charAt(0).toUpperCase()}${name.slice(1)}`];
+  const value = Number.parseInt(attribute, 10);
+  return Number.isNaN(value) ? CONFIG.hoverIntent[name] : value;
+}
+
+/**
+ * Remember the pointer position for speed and aim checks
+ * @param {MouseEvent} event
+ */
+function recordPointer(event) {
+  pointerSamples.push({ x: event.clientX, y: event.clientY, time: performance.now() });
+  if (pointerSamples.length > 3) pointerSamples.shift();
+}
+
+/**
+ * The oldest and newest recent pointer samples
+ * @returns {{from: Object, to: Object}|null} null when the pointer has stopped
+ */
+function getRecentMovement() {
+  if (pointerSamples.length < 2) return null;
+
+  const from = pointerSamples[0];
+  const to = pointerSamples[pointerSamples.length - 1];
+  if (performance.now() - to.time > CONFIG.hoverIntent.sampleWindow) return null;
+
+  return { from, to };
+}
+
+/**
+ * Pointer speed in px/ms, 0 once it has stopped
+ * @returns {number}
+ */
+function getPointerSpeed() {
+  const movement = getRecentMovement();
+  if (!movement) return 0;
+
+  const { from, to } = movement;
+  const elapsed = Math.max(to.time - from.time, 1);
+  return Math.hypot(to.x - from.x, to.y - from.y) / elapsed;
+}
+
+/**
+ * Whether the pointer is moving toward a nav item's open menu ("menu aim"):
+ * its path, carried on, crosses the menu's top edge
+ * @param {HTMLElement} navItem
+ * @returns {boolean}
+ */
+function isAimingAt(navItem) {
+  const megaMenu = navItem.querySelector(`.${CONFIG.classes.megaMenu}`);
+  const movement = getRecentMovement();
+  if (!megaMenu || !movement) return false;
+
+  const rect = megaMenu.getBoundingClientRect();
+  const { from, to } = movement;
+  const deltaY = to.y - from.y;
+
+  // Menus hang below the nav, so only downward movement can reach them
+  if (rect.width === 0 || deltaY <= 0) return false;
+  if (to.y >= rect.top) return to.x >= rect.left && to.x <= rect.right;
+
+  const edgeX = to.x + (to.x - from.x) * ((rect.top - to.y) / deltaY);
+  const { aimTolerance } = CONFIG.hoverIntent;
+  return edgeX >= rect.left - aimTolerance && edgeX <= rect.right + aimTolerance;
+}
+
+/**
+ * Forget the item waiting to open
+ */
+function cancelPendingOpen() {
+  clearTimeout(intentTimeout);
+  intentTimeout = null;
+  pendingItem = null;
+}
+
+/**
+ * Open a hovered item once the pointer has settled on it
+ * @param {HTMLElement} navItem
+ */
+function evaluateIntent(navItem) {
+  intentTimeout = null;
+  if (pendingItem !== navItem) return;
+
+  const { aimDelay, sampleWindow, sensitivity } = CONFIG.hoverIntent;
+
+  // Crossing this item on the way into the open menu
+  if (currentOpenItem && currentOpenItem !== navItem && isAimingAt(currentOpenItem)) {
+    intentTimeout = setTimeout(() => evaluateIntent(navItem), aimDelay);
+    return;
+  }
+
+  // Still sweeping across the nav
+  if (getPointerSpeed() > sensitivity) {
+    intentTimeout = setTimeout(() => evaluateIntent(navItem), sampleWindow);
+    return;
+  }
+
+  pendingItem = null;
+  openMenu(navItem);
+}
+
+// ==========================================================================
+// Event Handlers - Desktop (Hover)
+// ==========================================================================
+
+/**
+ * Handle mouse enter on nav item
+ * @param {MouseEvent} event
+ */
+function handleNavItemMouseEnter(event) {
+  if (isMobile()) return;
+
+  const navItem = event.currentTarget;
+  cancelPendingOpen();
+
+  // Back on the open item (or its menu): nothing to wait for
+  if (navItem === currentOpenItem) {
+    clearCloseTimeout();
+    return;
+  }
+
+  pendingItem = navItem;
+  const delay = getHoverDelay(currentOpenItem ? 'switchDelay' : 'openDelay');
+  intentTimeout = setTimeout(() => evaluateIntent(navItem), delay);
+}
+
+/**
+ * Handle mouse leave on nav item
+ * @param {MouseEvent} event
+ */
+function handleNavItemMouseLeave(event) {
+  if (isMobile()) return;
+
+  const navItem = event.currentTarget;
+  if (pendingItem === navItem) {
+    cancelPendingOpen();
+  }
+  if (navItem === currentOpenItem) {
+    scheduleClose(navItem);
+  }
+}
+
+/**
+ * Handle mouse enter on mega menu (cancel close)
+ * @param {MouseEvent} event
+ */
+function handleMegaMenuMouseEnter(event) {
+  if (isMobile()) return;
+  clearCloseTimeout();
+  // Reached the menu, so items crossed on the way stay closed
+  cancelPendingOpen();
+}
+
+/**
+ * Handle mouse leave on mega menu
+ * @param {MouseEvent} event
+ */
+function handleMegaMenuMouseLeave(event) {
+  if (isMobile()) return;
+
+  const navItem = event.currentTarget.closest(`.${CONFIG.classes.navItem}`);
+  if (navItem) {
+    scheduleClose(navItem);
+  }
+}
+
+// ==========================================================================
+// Event Handlers - Mobile (Click)
+// ==========================================================================
+
+/**
+ * Handle click on nav button (mobile toggle)
+ * @param {MouseEvent} event
+ */
+function handleNavButtonClick(event) {
+  if (!isMobile()) return;
+
+  event.preventDefault();
+  const navItem = event.currentTarget.closest(`.${CONFIG.classes.navItem}`);
+
+  if (navItem.classList.contains(CONFIG.classes.active)) {
+    closeMenu(navItem);
+  } else {
+    openMenu(navItem);
+  }
+}
+
+/**
+ * Open or close the mobile nav overlay
+ * @param {boolean} isOpen
+ * @param {Object} [options]
+ * @param {boolean} [options.restoreFocus=false] - Move focus back to the toggle
+ */
+function setMobileNavOpen(isOpen, { restoreFocus = false } = {}) {
+  nav.classList.toggle(CONFIG.classes.mobileOpen, isOpen);
+  mobileToggle.setAttribute(CONFIG.aria.expanded, isOpen.toString());
+
+  // Prevent body scroll when menu is open
+  document.body.style.overflow = isOpen ? 'hidden' : '';
+  syncNavInert();
+
+  if (restoreFocus) mobileToggle.focus();
+}
+
+/**
+ * Keep the off-screen mobile nav out of the tab order while it's closed
+ */
+function syncNavInert() {
+  nav.inert = isMobile() && !nav.classList.contains(CONFIG.classes.mobileOpen);
+}
+
+/**
+ * Handle mobile menu toggle button click
+ */
+function handleMobileToggleClick() {
+  setMobileNavOpen(!nav.classList.contains(CONFIG.classes.mobileOpen));
+}
+
+// ==========================================================================
+// Event Handlers - Keyboard Navigation
+// ==========================================================================
+
+/**
+ * Top-level nav buttons and links, left to right
+ * @returns {HTMLElement[]}
+ */
+function getTriggers() {
+  return Array.from(nav.querySelectorAll(CONFIG.selectors.trigger));
+}
+
+/**
+ * Links and buttons inside a mega menu or one of its columns
+ * @param {HTMLElement} container
+ * @returns {HTMLElement[]}
+ */
+function getMenuItems(container) {
+  if (container.matches(CONFIG.selectors.menuItem)) return [container];
+  return Array.from(container.querySelectorAll(CONFIG.selectors.menuItem));
+}
+
+/**
+ * Columns of a mega menu that contain at least one item
+ * @param {HTMLElement} megaMenu
+ * @returns {HTMLElement[]}
+ */
+function getMenuColumns(megaMenu) {
+  return Array.from(megaMenu.querySelectorAll(CONFIG.selectors.menuColumn))
+    .filter(column => getMenuItems(column).length > 0);
+}
+
+/**
+ * Focusable elements of the open mobile nav: the toggle, triggers and items of open menus
+ * @returns {HTMLElement[]}
+ */
+function getMobileFocusableElements() {
+  const navElements = Array.from(nav.querySelectorAll(CONFIG.selectors.menuItem))
+    .filter(element => {
+      const navItem = element.closest(`.${CONFIG.classes.navItem}`);
+      const inMenu = element.closest(`.${CONFIG.classes.megaMenu}`);
+      return !inMenu || navItem.classList.contains(CONFIG.classes.active);
+    });
+
+  return [mobileToggle, ...navElements];
+}
+
+/**
+ * Open a trigger's menu and focus its first or last item
+ * @param {HTMLElement} trigger
+ * @param {'first' | 'last'} position
+ */
+function openMenuAndFocus(trigger, position) {
+  const navItem = trigger.closest(`.${CONFIG.classes.navItem}`);
+  if (!navItem) return;
+
+  openMenu(navItem);
+  const megaMenu = navItem.querySelector(`.${CONFIG.classes.megaMenu}`);
+  const items = megaMenu ? getMenuItems(megaMenu) : [];
+  const target = position === 'last' ? items[items.length - 1] : items[0];
+  // Wait for the menu's visibility transition to start so focus sticks
+  if (target) setTimeout(() => target.focus(), 50);
+}
+
+/**
+ * Handle keyboard navigation
+ * @param {KeyboardEvent} event
+ */
+function handleKeydown(event) {
+  const { key } = event;
+
+  if (key === 'Escape') {
+    // Close all menus and return focus to trigger
+    if (currentOpenItem) {
+      const button = currentOpenItem.querySelector('button');
+      closeAllMenus();
+      if (button) button.focus();
+    }
+    // Also close mobile menu
+    if (nav.classList.contains(CONFIG.classes.mobileOpen)) {
+      setMobileNavOpen(false, { restoreFocus: true });
+    }
+    return;
+  }
+
+  if (key === 'Tab') {
+    if (isMobile() && nav.classList.contains(CONFIG.classes.mobileOpen)) {
+      trapMobileFocus(event);
+    }
+    return;
+  }
+
+  if (event.target.matches(CONFIG.selectors.trigger) && nav.contains(event.target)) {
+    handleTriggerKeydown(event);
+  } else if (currentOpenItem && event.target.closest(`.${CONFIG.classes.megaMenu}`)) {
+    handleMenuKeydown(event);
+  }
+}
+
+/**
+ * Keys on a top-level nav button
+ * @param {KeyboardEvent} event
+ */
+function handleTriggerKeydown(event) {
+  const trigger = event.target;
+  const triggers = getTriggers();
+  const index = triggers.indexOf(trigger);
+  const navItem = trigger.closest(`.${CONFIG.classes.navItem}`);
+
+  switch (event.key) {
+    case 'Enter':
+    case ' ':
+      if (!navItem) return;
+      event.preventDefault();
+      if (navItem.classList.contains(CONFIG.classes.active)) {
+        closeMenu(navItem);
+      } else {
+        openMenuAndFocus(trigger, 'first');
+      }
+      break;
+
+    case 'ArrowRight':
+    case 'ArrowLeft': {
+      event.preventDefault();
+      const step = event.key === 'ArrowRight' ? 1 : -1;
+      triggers[(index + step + triggers.length) % triggers.length].focus();
+      break;
+    }
+
+    case 'Home':
+      event.preventDefault();
+      triggers[0].focus();
+      break;
+
+    case 'End':
+      event.preventDefault();
+      triggers[triggers.length - 1].focus();
+      break;
+
+    case 'ArrowDown':
+    case 'ArrowUp':
+      if (!navItem) return;
+      event.preventDefault();
+      openMenuAndFocus(trigger, event.key === 'ArrowDown' ? 'first' : 'last');
+      break;
+  }
+}
+
+/**
+ * Keys inside an open mega menu: arrows move within and across its columns
+ * @param {KeyboardEvent} event
+ */
+function handleMenuKeydown(event) {
+  const megaMenu = currentOpenItem.querySelector(`.${CONFIG.classes.megaMenu}`);
+  const current = document.activeElement;
+  const { key } = event;
+
+  switch (key) {
+    case 'ArrowDown':
+    case 'ArrowUp':
+      event.preventDefault();
+      moveFocusInColumn(megaMenu, current, key === 'ArrowDown' ? 1 : -1);
+      break;
+
+    case 'ArrowRight':
+    case 'ArrowLeft':
+      event.preventDefault();
+      moveFocusAcrossColumns(megaMenu, current, key === 'ArrowRight' ? 1 : -1);
+      break;
+
+    case 'Home':
+    case 'End': {
+      event.preventDefault();
+      const items = getMenuItems(megaMenu);
+      items[key === 'Home' ? 0 : items.length - 1]?.focus();
+      break;
+    }
+
+    default:
+      if (key.length === 1 && key !== ' ' && !event.ctrlKey && !event.metaKey && !event.altKey) {
+        typeAhead(megaMenu, key);
+      }
+  }
+}
+
+/**
+ * Move focus to the next/previous item of the current column, wrapping around
+ * @param {HTMLElement} megaMenu
+ * @param {HTMLElement} current
+ * @param {1 | -1} step
+ */
+function moveFocusInColumn(megaMenu, current, step) {
+  const column = getMenuColumns(megaMenu).find(col => col.contains(current));
+  const items = getMenuItems(column || megaMenu);
+  const index = items.indexOf(current);
+
+  items[(index + step + items.length) % items.length]?.focus();
+}
+
+/**
+ * Move focus to the item of the neighbouring column closest in height
+ * @param {HTMLElement} megaMenu
+ * @param {HTMLElement} current
+ * @param {1 | -1} step
+ */
+function moveFocusAcrossColumns(megaMenu, current, step) {
+  const columns = getMenuColumns(megaMenu);
+  const index = columns.findIndex(column => column.contains(current));
+  if (columns.length === 0) return;
+
+  const targetColumn = columns[(index + step + columns.length) % columns.length];
+  const top = current.getBoundingClientRect().top;
+  const closest = getMenuItems(targetColumn).reduce((best, item) => {
+    const distance = Math.abs(item.getBoundingClientRect().top - top);
+    return !best || distance < best.distance ? { item, distance } : best;
+  }, null);
+
+  closest?.item.focus();
+}
+
+/**
+ * Focus the next pill whose label starts with the typed characters
+ * @param {HTMLElement} megaMenu
+ * @param {string} character
+ */
+function typeAhead(megaMenu, character) {
+  clearTimeout(typeAheadTimeout);
+  typeAheadBuffer += character.toLowerCase();
+  typeAheadTimeout = setTimeout(() => {
+    typeAheadBuffer = '';
+  }, CONFIG.typeAheadDelay);
+
+  const pills = Array.from(megaMenu.querySelectorAll(CONFIG.selectors.pill));
+  if (pills.length === 0) return;
+
+  // Typing the same letter again cycles through the pills starting with it
+  const isRepeat = typeAheadBuffer.split('').every(char => char === typeAheadBuffer[0]);
+  const search = isRepeat ? typeAheadBuffer[0] : typeAheadBuffer;
+  const currentIndex = pills.indexOf(document.activeElement);
+  const start = isRepeat || currentIndex === -1 ? currentIndex + 1 : currentIndex;
+
+  for (let offset = 0; offset < pills.length; offset++) {
+    const pill = pills[(start + offset) % pills.length];
+    if (pill.textContent.trim().toLowerCase().startsWith(search)) {
+      pill.focus();
+      return;
+    }
+  }
+}
+
+/**
+ * Keep Tab and Shift+Tab inside the open mobile nav
+ * @param {KeyboardEvent} event
+ */
+function trapMobileFocus(event) {
+  const focusable = getMobileFocusableElements();
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  const isOutside = !focusable.includes(document.activeElement);
+
+  if (event.shiftKey && (document.activeElement === first || isOutside)) {
+    event.preventDefault();
+    last.focus();
+  } else if (!event.shiftKey && (document.activeElement === last || isOutside)) {
+    event.preventDefault();
+    first.focus();
+  }
+}
+
+// ==========================================================================
+// Event Handlers - Focus
+// ==========================================================================
+
+/**
+ * Focus landing in a menu (by mouse or Tab) opens it properly
+ * @param {FocusEvent} event
+ */
+function handleFocusIn(event) {
+  if (!event.target.closest(`.${CONFIG.classes.megaMenu}`)) return;
+
+  const navItem = event.currentTarget;
+  if (!navItem.classList.contains(CONFIG.classes.active)) {
+    openMenu(navItem);
+  }
+}
+
+/**
+ * Close a desktop menu once focus leaves its nav item
+ * @param {FocusEvent} event
+ */
+function handleFocusOut(event) {
+  if (isMobile()) return;
+
+  const navItem = event.currentTarget;
+  if (event.relatedTarget && navItem.contains(event.relatedTarget)) return;
+
+  if (navItem.classList.contains(CONFIG.classes.active) && !navItem.matches(':hover')) {
+    closeMenu(navItem);
+  }
+}
+
+// ==========================================================================
+// Event Handlers - Click Outside
+// ==========================================================================
+
+/**
+ * Handle click outside to close menus
+ * @param {MouseEvent} event
+ */
+function handleClickOutside(event) {
+  if (!header.contains(event.target)) {
+    closeAllMenus();
+
+    // Also close mobile menu
+    if (nav.classList.contains(CONFIG.classes.mobileOpen)) {
+      setMobileNavOpen(false);
+    }
+  }
+}
+
+// ==========================================================================
+// Event Handlers - Resize
+// ==========================================================================
+
+/**
+ * Handle the viewport moving into another breakpoint
+ */
+function handleBreakpointChange() {
+  // Close all menus when switching between mobile/desktop
+  closeAllMenus();
+
+  // Reset mobile menu state on desktop
+  if (!isMobile()) {
+    setMobileNavOpen(false);
+  } else {
+    syncNavInert();
+  }
+}
+
+// ==========================================================================
+// Initialization
+// ==========================================================================
+
+/**
+ * Initialize all event listeners
+ * @param {HTMLElement} root - The .header element
+ */
+export function init(root) {
+  if (header) {
+    console.warn('Navbar: only one navbar can be initialized at a time');
+    return;
+  }
+
+  header = root;
+  nav = root.querySelector('.nav');
+  navItems = root.querySelectorAll(`.${CONFIG.classes.navItem}`);
+  mobileToggle = root.querySelector('.header__mobile-toggle');
+  if (!nav) return;
+
+  listeners = new AbortController();
+  const { signal } = listeners;
+
+  // Nav items - hover events for desktop
+  navItems.forEach(navItem => {
+    navItem.addEventListener('mouseenter', handleNavItemMouseEnter, { signal });
+    navItem.addEventListener('mouseleave', handleNavItemMouseLeave, { signal });
+
+    // Nav button click for mobile
+    const button = navItem.querySelector('button');
+    if (button) {
+      button.addEventListener('click', handleNavButtonClick, { signal });
+    }
+
+    // Mega menu hover events
+    const megaMenu = navItem.querySelector(`.${CONFIG.classes.megaMenu}`);
+    if (megaMenu) {
+      megaMenu.addEventListener('mouseenter', handleMegaMenuMouseEnter, { signal });
+      megaMenu.addEventListener('mouseleave', handleMegaMenuMouseLeave, { signal });
+    }
+
+    // Keep the open state in step with focus
+    navItem.addEventListener('focusin', handleFocusIn, { signal });
+    navItem.addEventListener('focusout', handleFocusOut, { signal });
+  });
+
+  // Mobile toggle
+  if (mobileToggle) {
+    mobileToggle.addEventListener('click', handleMobileToggleClick, { signal });
+    syncNavInert();
+  }
+
+  // Pointer tracking for hover intent
+  header.addEventListener('mousemove', event => {
+    if (!isMobile()) recordPointer(event);
+  }, { passive: true, signal });
+
+  // Keyboard navigation
+  document.addEventListener('keydown', handleKeydown, { signal });
+
+  // Click outside to close
+  document.addEventListener('click', handleClickOutside, { signal });
+
+  // Shared resize service
+  unsubscribeBreakpoint = onBreakpointChange(handleBreakpointChange);
+
+  // Log initialization
+  console.log('Flexiple Navbar initialized');
+}
+
+/**
+ * Close everything, remove listeners and forget the DOM references
+ */
+export function destroy() {
+  if (!header) return;
+
+  if (nav) {
+    closeAllMenus();
+    cancelPendingOpen();
+    clearCloseTimeout();
+    clearTimeout(typeAheadTimeout);
+    if (mobileToggle) setMobileNavOpen(false);
+    nav.inert = false;
+  }
+
+  if (listeners) listeners.abort();
+  if (unsubscribeBreakpoint) unsubscribeBreakpoint();
+  listeners = null;
+  unsubscribeBreakpoint = null;
+  pointerSamples = [];
+
+  header = null;
+  nav = null;
+  navItems = [];
+  mobileToggle = null;
+}
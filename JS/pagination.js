@@ -0,0 +1,288 @@
+/**
+ * Profiles Pagination
+ *
+ * Features:
+ * 1. Splits the matching profile cards into pages of configurable size
+ * 2. Generates page buttons with ellipses, prev/next and disabled states
+ * 3. Moves aria-current="page" to the active page
+ * 4. Scrolls back to the results heading on page change
+ * 5. Recomputes whenever filters change the result set
+ */
+
+(function () {
+  'use strict';
+
+  // ==========================================================================
+  // Configuration
+  // ==========================================================================
+
+  const PAGINATION_CONFIG = {
+    // Fallback when the nav has no data-page-size attribute
+    defaultPageSize: 4,
+    // Page buttons shown on each side of the active page before collapsing
+    siblingCount: 1,
+    selectors: {
+      nav: '.pagination',
+      scrollTarget: '#profiles-heading'
+    },
+    classes: {
+      button: 'pagination__btn',
+      active: 'pagination__btn--active',
+      prev: 'pagination__btn--prev',
+      next: 'pagination__btn--next',
+      ellipsis: 'pagination__ellipsis'
+    },
+    events: {
+      change: 'pagination:change'
+    }
+  };
+
+  const CHEVRONS = {
+    prev: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">' +
+      '<polyline points="15 18 9 12 15 6" /></svg>',
+    next: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">' +
+      '<polyline points="9 18 15 12 9 6" /></svg>'
+  };
+
+  // ==========================================================================
+  // State
+  // ==========================================================================
+
+  let currentPage = 1;
+  let pageSize = PAGINATION_CONFIG.defaultPageSize;
+  let matches = [];
+  // Ids of the last result set, to tell real changes from re-applied filters
+  let matchesKey = '';
+
+  // ==========================================================================
+  // DOM References
+  // ==========================================================================
+
+  const nav = document.querySelector(PAGINATION_CONFIG.selectors.nav);
+
+  // ==========================================================================
+  // Utility Functions
+  // ==========================================================================
+
+  /**
+   * Total number of pages for the current result set
+   * @returns {number}
+   */
+  function getPageCount() {
+    return Math.max(1, Math.ceil(matches.length / pageSize));
+  }
+
+  /**
+   * Build the list of page numbers to show, with 'ellipsis' gaps.
+   * e.g. page 5 of 10 -> [1, 'ellipsis', 4, 5, 6, 'ellipsis', 10]
+   * @param {number} page
+   * @param {number} pageCount
+   * @returns {Array<number|'ellipsis'>}
+   */
+  function getPageItems(page, pageCount) {
+    const { siblingCount } = PAGINATION_CONFIG;
+    // first + last + current + siblings + two ellipses
+    const maxItems = siblingCount * 2 + 5;
+
+    if (pageCount <= maxItems) {
+      return Array.from({ length: pageCount }, (_, i) => i + 1);
+    }
+
+    const start = Math.max(2, Math.min(page - siblingCount, pageCount - siblingCount * 2 - 2));
+    const end = Math.min(pageCount - 1, Math.max(page + siblingCount, siblingCount * 2 + 3));
+    const items = [1];
+
+    if (start > 2) items.push('ellipsis');
+    for (let i = start; i <= end; i++) items.push(i);
+    if (end < pageCount - 1) items.push('ellipsis');
+    items.push(pageCount);
+
+    return items;
+  }
+
+  // ==========================================================================
+  // Rendering
+  // ==========================================================================
+
+  /**
+   * Create a pagination button
+   * @param {string} className
+   * @param {number} page - Page the button navigates to
+   * @param {string} label - Accessible label
+   * @returns {HTMLButtonElement}
+   */
+  function createButton(className, page, label) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `${PAGINATION_CONFIG.classes.button} ${className}`.trim();
+    button.dataset.page = page.toString();
+    button.setAttribute('aria-label', label);
+    return button;
+  }
+
+  /**
+   * Render prev, page number, ellipsis and next controls
+   */
+  function renderControls() {
+    const pageCount = getPageCount();
+    const { classes } = PAGINATION_CONFIG;
+
+    nav.innerHTML = '';
+    nav.hidden = pageCount <= 1;
+    if (nav.hidden) return;
+
+    const prev = createButton(classes.prev, currentPage - 1, 'Previous page');
+    prev.innerHTML = CHEVRONS.prev;
+    prev.disabled = currentPage === 1;
+    nav.appendChild(prev);
+
+    getPageItems(currentPage, pageCount).forEach(item => {
+      if (item === 'ellipsis') {
+        const ellipsis = document.createElement('span');
+        ellipsis.className = classes.ellipsis;
+        ellipsis.setAttribute('aria-hidden', 'true');
+        ellipsis.textContent = '…';
+        nav.appendChild(ellipsis);
+        return;
+      }
+
+      const isActive = item === currentPage;
+      const button = createButton(isActive ? classes.active : '', item, `Page ${item}`);
+      button.textContent = item.toString();
+      if (isActive) button.setAttribute('aria-current', 'page');
+      nav.appendChild(button);
+    });
+
+    const next = createButton(classes.next, currentPage + 1, 'Next page');
+    next.innerHTML = CHEVRONS.next;
+    next.disabled = currentPage === pageCount;
+    nav.appendChild(next);
+  }
+
+  /**
+   * Hide matching cards that are not on the current page
+   */
+  function renderPage() {
+    const start = (currentPage - 1) * pageSize;
+    const end = start + pageSize;
+
+    matches.forEach((profile, index) => {
+      const card = window.Flexiple.profiles.getCard(profile.id);
+      if (card) card.hidden = index < start || index >= end;
+    });
+  }
+
+  // ==========================================================================
+  // Navigation
+  // ==========================================================================
+
+  /**
+   * Go to a specific page
+   * @param {number} page
+   * @param {Object} [options]
+   * @param {boolean} [options.scroll=true] - Scroll back to the results heading
+   */
+  function goToPage(page, { scroll = true } = {}) {
+    const pageCount = getPageCount();
+    const target = Math.min(Math.max(1, Math.floor(page) || 1), pageCount);
+
+    currentPage = target;
+    renderPage();
+    renderControls();
+
+    if (scroll) {
+      const heading = document.querySelector(PAGINATION_CONFIG.selectors.scrollTarget);
+      if (heading) heading.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    document.dispatchEvent(new CustomEvent(PAGINATION_CONFIG.events.change, {
+      detail: { page: currentPage, pageCount, pageSize }
+    }));
+  }
+
+  // ==========================================================================
+  // Event Handlers
+  // ==========================================================================
+
+  /**
+   * Handle clicks on any pagination control
+   * @param {MouseEvent} event
+   */
+  function handleNavClick(event) {
+    const button = event.target.closest(`.${PAGINATION_CONFIG.classes.button}`);
+    if (!button || button.disabled) return;
+
+    const isPrev = button.classList.contains(PAGINATION_CONFIG.classes.prev);
+    const isNext = button.classList.contains(PAGINATION_CONFIG.classes.next);
+
+    goToPage(Number(button.dataset.page));
+
+    // Controls are re-rendered, so restore focus to the equivalent button
+    const { classes } = PAGINATION_CONFIG;
+    let focusTarget = nav.querySelector(`.${classes.active}`);
+    if (isPrev || isNext) {
+      const arrow = nav.querySelector(`.${isPrev ? classes.prev : classes.next}`);
+      if (arrow && !arrow.disabled) focusTarget = arrow;
+    }
+    if (focusTarget) focusTarget.focus();
+  }
+
+  /**
+   * Reset to the first page whenever the filtered result set changes
+   * @param {CustomEvent} event
+   */
+  function handleProfilesFiltered(event) {
+    matches = event.detail.matches;
+
+    const key = matches.map(profile => profile.id).join(',');
+    const hasChanged = key !== matchesKey;
+    matchesKey = key;
+
+    // Filtering un-hides every match, so the current page is always re-applied
+    goToPage(hasChanged ? 1 : currentPage, { scroll: false });
+  }
+
+  // ==========================================================================
+  // Public API
+  // ==========================================================================
+
+  window.Flexiple = window.Flexiple || {};
+  window.Flexiple.pagination = {
+    goToPage,
+    /** @returns {number} Current 1-based page */
+    getPage: () => currentPage,
+    getPageCount
+  };
+
+  // ==========================================================================
+  // Initialization
+  // ==========================================================================
+
+  /**
+   * Initialize pagination
+   */
+  function initPagination() {
+    if (!nav || !window.Flexiple.profiles) return;
+
+    const configuredSize = parseInt(nav.dataset.pageSize, 10);
+    if (configuredSize > 0) pageSize = configuredSize;
+
+    nav.addEventListener('click', handleNavClick);
+    document.addEventListener('profiles:filtered', handleProfilesFiltered);
+
+    // Profiles may already be rendered if their data loaded first
+    matches = window.Flexiple.profiles.getMatches();
+    matchesKey = matches.map(profile => profile.id).join(',');
+    if (matches.length > 0) goToPage(1, { scroll: false });
+
+    console.log(`Pagination initialized: ${pageSize} profiles per page`);
+  }
+
+  // Run on DOM ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initPagination);
+  } else {
+    initPagination();
+  }
+
+})();
@@ -0,0 +1,565 @@
+/**
+ * Developer Search (combobox)
+ *
+ * Features:
+ * 1. ARIA 1.2 combobox: the input owns a listbox of suggestions through
+ *    aria-controls / aria-expanded / aria-activedescendant
+ * 2. Fuzzy matching on developer names and skills: case-insensitive,
+ *    prefix, substring, skill aliases (JS/skills.js) and small typos
+ * 3. Narrows the visible cards through Flexiple.profiles.setFilter, so
+ *    `.profiles__count`, pagination and the empty message follow along
+ * 4. "Relevance" sort ranks the best matches first (JS/sort.js)
+ * 5. Suggests skills (with developer counts) and developers as you type
+ * 6. Keyboard: ArrowUp/ArrowDown, Enter to pick, Escape to close or clear
+ */
+
+(function () {
+  'use strict';
+
+  // ==========================================================================
+  // Configuration
+  // ==========================================================================
+
+  const PROFILE_SEARCH_CONFIG = {
+    debounceDelay: 150,
+    maxSkillSuggestions: 5,
+    maxDeveloperSuggestions: 3,
+    filterName: 'search',
+    selectors: {
+      root: '.profile-search',
+      input: '.profile-search__input',
+      listbox: '.profile-search__listbox',
+      clear: '.profile-search__clear'
+    },
+    classes: {
+      option: 'profile-search__option',
+      optionLabel: 'profile-search__option-label',
+      optionMeta: 'profile-search__option-meta',
+      active: 'is-active'
+    },
+    labels: {
+      skill: count => `Skill · ${count} ${count === 1 ? 'developer' : 'developers'}`,
+      developer: 'Developer'
+    },
+    // Match quality, best first
+    scores: {
+      exact: 100,
+      prefix: 90,
+      wordPrefix: 80,
+      substring: 60,
+      typo: 50,
+      subsequence: 30,
+      // Extra weight when the match is the developer's primary skill
+      primarySkill: 5
+    },
+    events: {
+      change: 'search:change'
+    }
+  };
+
+  // ==========================================================================
+  // State
+  // ==========================================================================
+
+  let query = '';
+  // Scores for the current query, keyed by profile id
+  let scores = new Map();
+  let suggestions = [];
+  let activeIndex = -1;
+  let debounceTimer = null;
+
+  // ==========================================================================
+  // DOM References
+  // ==========================================================================
+
+  const root = document.querySelector(PROFILE_SEARCH_CONFIG.selectors.root);
+  const input = root && root.querySelector(PROFILE_SEARCH_CONFIG.selectors.input);
+  const listbox = root && root.querySelector(PROFILE_SEARCH_CONFIG.selectors.listbox);
+  const clearButton = root && root.querySelector(PROFILE_SEARCH_CONFIG.selectors.clear);
+
+  // ==========================================================================
+  // Fuzzy Matching
+  // ==========================================================================
+
+  /**
+   * Comparable form of a label: lower case without spaces, dashes or underscores
+   * @param {string} value
+   * @returns {string}
+   */
+  function toKey(value) {
+    return String(value).toLowerCase().replace(/[\s\-_]+/g, '');
+  }
+
+  /**
+   * Canonical skill name from the shared taxonomy, if loaded
+   * @param {string} skill
+   * @returns {string}
+   */
+  function normaliseSkill(skill) {
+    return window.Flexiple.skills ? window.Flexiple.skills.normalise(skill) : skill;
+  }
+
+  /**
+   * Number of typos tolerated for a search term of this length
+   * @param {number} length
+   * @returns {number}
+   */
+  function allowedTypos(length) {
+    if (length <= 3) return 0;
+    return length <= 6 ? 1 : 2;
+  }
+
+  /**
+   * Edit distance counting insertions, deletions, substitutions and swapped neighbours
+   * @param {string} a
+   * @param {string} b
+   * @returns {number}
+   */
+  function editDistance(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+      rows[i] = [i];
+      for (let j = 1; j <= b.length; j++) {
+        if (i === 0) {
+          rows[i][j] = j;
+          continue;
+        }
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+    return rows[a.length][b.length];
+  }
+
+  /**
+   * Whether every character of `term` appears in `text` in order
+   * @param {string} term
+   * @param {string} text
+   * @returns {boolean}
+   */
+  function isSubsequence(term, text) {
+    let position = 0;
+    for (const char of text) {
+      if (char === term[position]) position++;
+      if (position === term.length) return true;
+    }
+    return false;
+  }
+
+  /**
+   * How well a search term matches a label
+   * @param {string} term
+   * @param {string} label
+   * @returns {number} 0 for no match
+   */
+  function matchScore(term, label) {
+    const { scores: points } = PROFILE_SEARCH_CONFIG;
+    const termKey = toKey(term);
+    const labelKey = toKey(label);
+    if (!termKey || !labelKey) return 0;
+
+    if (labelKey === termKey) return points.exact;
+    if (labelKey.startsWith(termKey)) return points.prefix;
+
+    const words = String(label).toLowerCase().split(/[\s\-_/().]+/).filter(Boolean);
+    if (words.some(word => word.startsWith(termKey))) return points.wordPrefix;
+    if (labelKey.includes(termKey)) return points.substring;
+
+    // Typos against the whole label, each word, or the part typed so far
+    const typos = allowedTypos(termKey.length);
+    if (typos > 0) {
+      const distance = Math.min(
+        editDistance(termKey, labelKey),
+        editDistance(termKey, labelKey.slice(0, termKey.length)),
+        ...words.map(word => editDistance(termKey, word))
+      );
+      if (distance <= typos) return points.typo - distance * 10;
+    }
+
+    // Abbreviations like "rct"; limited to short one-word labels, where they aren't just noise
+    const isShortLabel = !/\s/.test(String(label).trim()) && labelKey.length <= termKey.length * 3;
+    if (termKey.length >= 3 && isShortLabel && isSubsequence(termKey, labelKey)) return points.subsequence;
+    return 0;
+  }
+
+  /**
+   * Score of a skill for a term, with aliases ("reactjs") counting as exact
+   * @param {string} term
+   * @param {string} skill - Canonical skill name
+   * @returns {number}
+   */
+  function skillScore(term, skill) {
+    const canonical = window.Flexiple.skills ? window.Flexiple.skills.find(term) : null;
+    if (canonical && canonical === skill) return PROFILE_SEARCH_CONFIG.scores.exact;
+    return matchScore(term, skill);
+  }
+
+  /**
+   * A profile's distinct canonical skills, primary skill first
+   * @param {Object} profile
+   * @returns {string[]}
+   */
+  function getProfileSkills(profile) {
+    return Array.from(new Set([profile.primarySkill, ...profile.skills].filter(Boolean).map(normaliseSkill)));
+  }
+
+  /**
+   * Best match of one term against a profile's name and skills
+   * @param {string} term
+   * @param {Object} profile
+   * @returns {number}
+   */
+  function scoreTerm(term, profile) {
+    const primarySkill = normaliseSkill(profile.primarySkill);
+
+    return getProfileSkills(profile).reduce((best, skill) => {
+      const score = skillScore(term, skill);
+      const bonus = score > 0 && skill === primarySkill ? PROFILE_SEARCH_CONFIG.scores.primarySkill : 0;
+      return Math.max(best, score + bonus);
+    }, matchScore(term, profile.name));
+  }
+
+  /**
+   * Score a profile for a query. The whole query is tried first (for
+   * "ruby on rails" or a full name), then each word must match on its own.
+   * @param {Object} profile
+   * @param {string} searchQuery
+   * @returns {number} 0 when the profile doesn't match
+   */
+  function scoreProfile(profile, searchQuery) {
+    const wholeScore = scoreTerm(searchQuery, profile);
+    if (wholeScore > 0) return wholeScore;
+
+    const terms = searchQuery.split(/\s+/).filter(Boolean);
+    if (terms.length < 2) return 0;
+
+    let total = 0;
+    for (const term of terms) {
+      const score = scoreTerm(term, profile);
+      if (score === 0) return 0;
+      total += score;
+    }
+    return total / terms.length;
+  }
+
+  /**
+   * Score of a profile for the current query, cached per query
+   * @param {Object} profile
+   * @returns {number} 0 when there's no query or no match
+   */
+  function getScore(profile) {
+    if (!query) return 0;
+    if (!scores.has(profile.id)) {
+      scores.set(profile.id, scoreProfile(profile, query));
+    }
+    return scores.get(profile.id);
+  }
+
+  // ==========================================================================
+  // Suggestions
+  // ==========================================================================
+
+  /**
+   * Skills and developers matching the text typed so far, best first
+   * @param {string} text
+   * @returns {Object[]} { type: 'skill'|'developer', value, count? }
+   */
+  function getSuggestions(text) {
+    if (!text || !window.Flexiple.profiles) return [];
+
+    const { maxSkillSuggestions, maxDeveloperSuggestions } = PROFILE_SEARCH_CONFIG;
+    const profiles = window.Flexiple.profiles.getAll();
+    const byScore = (a, b) => (b.score - a.score) || ((b.count || 0) - (a.count || 0));
+
+    const skillCounts = new Map();
+    profiles.forEach(profile => {
+      getProfileSkills(profile).forEach(skill => skillCounts.set(skill, (skillCounts.get(skill) || 0) + 1));
+    });
+
+    const skills = Array.from(skillCounts, ([skill, count]) => ({
+      type: 'skill',
+      value: skill,
+      count,
+      score: skillScore(text, skill)
+    }))
+      .filter(suggestion => suggestion.score > 0)
+      .sort(byScore)
+      .slice(0, maxSkillSuggestions);
+
+    const developers = profiles
+      .map(profile => ({ type: 'developer', value: profile.name, score: matchScore(text, profile.name) }))
+      .filter(suggestion => suggestion.score > 0)
+      .sort(byScore)
+      .slice(0, maxDeveloperSuggestions);
+
+    return [...skills, ...developers];
+  }
+
+  /**
+   * Rebuild the listbox options
+   */
+  function renderSuggestions() {
+    const { classes, labels } = PROFILE_SEARCH_CONFIG;
+    listbox.textContent = '';
+
+    suggestions.forEach((suggestion, index) => {
+      const option = document.createElement('li');
+      option.id = `${listbox.id}-option-${index}`;
+      option.className = classes.option;
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', 'false');
+      option.dataset.index = String(index);
+
+      const label = document.createElement('span');
+      label.className = classes.optionLabel;
+      label.textContent = suggestion.value;
+
+      const meta = document.createElement('span');
+      meta.className = classes.optionMeta;
+      meta.textContent = suggestion.type === 'skill' ? labels.skill(suggestion.count) : labels.developer;
+
+      option.append(label, meta);
+      listbox.appendChild(option);
+    });
+  }
+
+  // ==========================================================================
+  // Listbox
+  // ==========================================================================
+
+  /**
+   * @returns {boolean}
+   */
+  function isExpanded() {
+    return input.getAttribute('aria-expanded') === 'true';
+  }
+
+  /**
+   * Show or hide the listbox
+   * @param {boolean} isOpen
+   */
+  function setExpanded(isOpen) {
+    const shouldOpen = isOpen && suggestions.length > 0;
+    listbox.hidden = !shouldOpen;
+    input.setAttribute('aria-expanded', shouldOpen.toString());
+    if (!shouldOpen) setActive(-1);
+  }
+
+  /**
+   * Mark an option as active (visually focused) and expose it to assistive tech
+   * @param {number} index - -1 for none
+   */
+  function setActive(index) {
+    const { classes } = PROFILE_SEARCH_CONFIG;
+    activeIndex = index;
+
+    Array.from(listbox.children).forEach((option, optionIndex) => {
+      const isActive = optionIndex === index;
+      option.classList.toggle(classes.active, isActive);
+      option.setAttribute('aria-selected', isActive.toString());
+      if (isActive) option.scrollIntoView({ block: 'nearest' });
+    });
+
+    if (index >= 0) {
+      input.setAttribute('aria-activedescendant', `${listbox.id}-option-${index}`);
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  /**
+   * Move the active option, wrapping around
+   * @param {1 | -1} step
+   */
+  function moveActive(step) {
+    if (!isExpanded()) {
+      setExpanded(true);
+      if (!isExpanded()) return;
+    }
+
+    const count = suggestions.length;
+    const next = activeIndex === -1
+      ? (step === 1 ? 0 : count - 1)
+      : (activeIndex + step + count) % count;
+    setActive(next);
+  }
+
+  /**
+   * Use a suggestion as the search
+   * @param {number} index
+   */
+  function pick(index) {
+    const suggestion = suggestions[index];
+    if (!suggestion) return;
+
+    input.value = suggestion.value;
+    setExpanded(false);
+    search(suggestion.value);
+  }
+
+  // ==========================================================================
+  // Search
+  // ==========================================================================
+
+  /**
+   * Filter the cards by a query; an empty query shows everything again
+   * @param {string} text
+   */
+  function search(text) {
+    const nextQuery = String(text).trim();
+    clearTimeout(debounceTimer);
+
+    if (input && input.value.trim() !== nextQuery) {
+      input.value = nextQuery;
+    }
+    if (clearButton) clearButton.hidden = nextQuery === '';
+    if (nextQuery === query) return;
+
+    query = nextQuery;
+    scores = new Map();
+
+    if (window.Flexiple.profiles) {
+      window.Flexiple.profiles.setFilter(
+        PROFILE_SEARCH_CONFIG.filterName,
+        query ? profile => getScore(profile) > 0 : null
+      );
+    }
+
+    document.dispatchEvent(new CustomEvent(PROFILE_SEARCH_CONFIG.events.change, {
+      detail: { query }
+    }));
+  }
+
+  /**
+   * Clear the input and show every developer again
+   */
+  function clear() {
+    suggestions = [];
+    if (listbox) setExpanded(false);
+    search('');
+  }
+
+  // ==========================================================================
+  // Event Handlers
+  // ==========================================================================
+
+  /**
+   * Update suggestions at once and the cards after a pause in typing
+   */
+  function handleInput() {
+    suggestions = getSuggestions(input.value.trim());
+    renderSuggestions();
+    setExpanded(true);
+    if (clearButton) clearButton.hidden = input.value === '';
+
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => search(input.value), PROFILE_SEARCH_CONFIG.debounceDelay);
+  }
+
+  /**
+   * Combobox keyboard interaction
+   * @param {KeyboardEvent} event
+   */
+  function handleKeydown(event) {
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        if (event.altKey) {
+          setExpanded(true);
+        } else {
+          moveActive(1);
+        }
+        break;
+
+      case 'ArrowUp':
+        event.preventDefault();
+        moveActive(-1);
+        break;
+
+      case 'Enter':
+        if (isExpanded() && activeIndex >= 0) {
+          event.preventDefault();
+          pick(activeIndex);
+        } else {
+          setExpanded(false);
+          search(input.value);
+        }
+        break;
+
+      case 'Escape':
+        if (isExpanded()) {
+          event.preventDefault();
+          setExpanded(false);
+        } else if (input.value) {
+          event.preventDefault();
+          clear();
+        }
+        break;
+    }
+  }
+
+  /**
+   * Pick an option with the pointer
+   * @param {MouseEvent} event
+   */
+  function handleListboxClick(event) {
+    const option = event.target.closest(`.${PROFILE_SEARCH_CONFIG.classes.option}`);
+    if (option) {
+      pick(Number(option.dataset.index));
+      input.focus();
+    }
+  }
+
+  // ==========================================================================
+  // Public API
+  // ==========================================================================
+
+  window.Flexiple = window.Flexiple || {};
+  window.Flexiple.profileSearch = {
+    search,
+    clear,
+    /** @returns {string} The active query, '' when not searching */
+    getQuery: () => query,
+    getScore
+  };
+
+  // ==========================================================================
+  // Initialization
+  // ==========================================================================
+
+  /**
+   * Initialize the developer search
+   */
+  function initProfileSearch() {
+    if (!input || !listbox) return;
+
+    input.addEventListener('input', handleInput);
+    input.addEventListener('keydown', handleKeydown);
+
+    // Keep focus in the input while clicking an option
+    listbox.addEventListener('mousedown', event => event.preventDefault());
+    listbox.addEventListener('click', handleListboxClick);
+
+    input.addEventListener('blur', () => setExpanded(false));
+
+    if (clearButton) {
+      clearButton.addEventListener('click', () => {
+        clear();
+        input.focus();
+      });
+    }
+
+    console.log('Developer search initialized');
+  }
+
+  // Run on DOM ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initProfileSearch);
+  } else {
+    initProfileSearch();
+  }
+
+})();
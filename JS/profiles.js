@@ -0,0 +1,422 @@
+/**
+ * Developer Profile Cards
+ *
+ * Features:
+ * 1. Renders `.profile-card` articles from a JSON array or a local JSON file
+ * 2. Keeps the existing BEM markup so style.css applies unchanged
+ * 3. Appends the blurred `.access-card` after the last profile
+ * 4. Exposes the loaded data on `window.Flexiple.profiles` for other modules
+ * 5. Named filter predicates that hide non-matching cards and update the count
+ * 6. An optional sort comparator that reorders the cards in the DOM
+ *
+ * Data shape (either a bare array of profiles or an object):
+ * {
+ *   "profiles": [{ "id", "name", "experience", "ctc", "noticePeriod", "primarySkill", "skills": [] }],
+ *   "accessCard": { "placeholderName", "placeholderLabel", "title", "ctaLabel", "ctaHref" }
+ * }
+ */
+
+(function () {
+  'use strict';
+
+  // ==========================================================================
+  // Configuration
+  // ==========================================================================
+
+  const PROFILES_CONFIG = {
+    selectors: {
+      container: '.profile-cards',
+      count: '.profiles__count'
+    },
+    // Data attribute on the container that points to the JSON file
+    srcAttribute: 'data-profiles-src',
+    labels: {
+      cta: 'Get a Quote',
+      experience: 'Experience',
+      ctc: 'Current CTC',
+      noticePeriod: 'Notice period',
+      // Count text while at least one filter is active
+      filteredCount: count => `${count} GCC recruitment agency ${count === 1 ? 'engineer matches' : 'engineers match'} your filters`,
+      empty: 'No developers match the selected filters.'
+    },
+    events: {
+      rendered: 'profiles:rendered',
+      filtered: 'profiles:filtered'
+    }
+  };
+
+  // Inline SVG icons (same paths as the original hand-written cards)
+  const ICONS = {
+    experience: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">' +
+      '<rect x="2" y="7" width="20" height="14" rx="2" ry="2" />' +
+      '<path d="M16 21V5a2 2 0 0 0-2-2h-4a2 2 0 0 0-2 2v16" /></svg>',
+    ctc: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">' +
+      '<circle cx="12" cy="12" r="10" /><path d="M12 6v6l4 2" /></svg>',
+    noticePeriod: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">' +
+      '<rect x="3" y="4" width="18" height="18" rx="2" ry="2" /><path d="M16 2v4M8 2v4M3 10h18" /></svg>',
+    sparkles: '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" ' +
+      'stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="lucide lucide-sparkles">' +
+      '<path d="m12 3-1.912 5.813a2 2 0 0 1-1.275 1.275L3 12l5.813 1.912a2 2 0 0 1 1.275 1.275L12 21l1.912-5.813a2 2 0 0 1 1.275-1.275L21 12l-5.813-1.912a2 2 0 0 1-1.275-1.275L12 3Z"></path>' +
+      '<path d="M5 3v4"></path><path d="M19 17v4"></path><path d="M3 5h4"></path><path d="M17 19h4"></path></svg>',
+    arrow: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">' +
+      '<path d="M5 12h14M12 5l7 7-7 7" /></svg>'
+  };
+
+  // ==========================================================================
+  // State
+  // ==========================================================================
+
+  let profiles = [];
+  let matches = [];
+  const cardsById = new Map();
+  // Active filter predicates keyed by name (e.g. 'skills', 'notice')
+  const filters = new Map();
+  // Comparator for the active sort, or null for dataset order
+  let sortCompare = null;
+  let defaultCountText = '';
+
+  // ==========================================================================
+  // DOM References
+  // ==========================================================================
+
+  const container = document.querySelector(PROFILES_CONFIG.selectors.container);
+  const countElement = document.querySelector(PROFILES_CONFIG.selectors.count);
+  let emptyMessage = null;
+
+  // ==========================================================================
+  // Utility Functions
+  // ==========================================================================
+
+  /**
+   * Escape a value for safe insertion into HTML
+   * @param {*} value
+   * @returns {string}
+   */
+  function escapeHTML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Build a URL-safe id from a developer name
+   * @param {string} name
+   * @returns {string}
+   */
+  function slugify(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  }
+
+  /**
+   * Human-readable notice period
+   * @param {number} days
+   * @returns {string}
+   */
+  function formatNoticePeriod(days) {
+    if (!days) return 'Immediate';
+    return `${days} days`;
+  }
+
+  /**
+   * Normalise raw JSON (array or { profiles, accessCard }) into one shape
+   * @param {Array|Object} data
+   * @returns {{ profiles: Array, accessCard: Object|null }}
+   */
+  function normaliseData(data) {
+    const list = Array.isArray(data) ? data : (data && data.profiles) || [];
+
+    return {
+      profiles: list.map(profile => ({
+        ...profile,
+        id: profile.id || slugify(profile.name),
+        skills: Array.isArray(profile.skills) ? profile.skills : []
+      })),
+      accessCard: Array.isArray(data) ? null : (data && data.accessCard) || null
+    };
+  }
+
+  // ==========================================================================
+  // Templates
+  // ==========================================================================
+
+  /**
+   * Markup for a single developer card
+   * @param {Object} profile
+   * @returns {string}
+   */
+  function profileCardTemplate(profile) {
+    const { labels } = PROFILES_CONFIG;
+    const skillTags = profile.skills
+      .map(skill => `<button type="button" class="skill-tag" data-skill="${escapeHTML(skill)}">${escapeHTML(skill)}</button>`)
+      .join('');
+
+    return `
+      <article class="profile-card" data-profile-id="${escapeHTML(profile.id)}">
+        <header class="profile-card__header">
+          <h3 class="profile-card__name">${escapeHTML(profile.name)}</h3>
+          <div class="profile-card__meta">
+            <span class="profile-card__info">
+              ${ICONS.experience}
+              ${labels.experience}: ${escapeHTML(profile.experience)} years
+            </span>
+            <span class="profile-card__info">
+              ${ICONS.ctc}
+              ${labels.ctc}: ₹${escapeHTML(profile.ctc)}LPA
+            </span>
+            ${profile.noticePeriod === undefined ? '' : `
+            <span class="profile-card__info">
+              ${ICONS.noticePeriod}
+              ${labels.noticePeriod}: ${escapeHTML(formatNoticePeriod(profile.noticePeriod))}
+            </span>`}
+          </div>
+        </header>
+        <div class="profile-card__skills">
+          <button type="button" class="skill-tag skill-tag--primary" data-skill="${escapeHTML(profile.primarySkill)}">
+            ${ICONS.sparkles}
+            ${escapeHTML(profile.primarySkill)}
+          </button>
+          ${skillTags}
+        </div>
+        <a href="${escapeHTML(profile.quoteUrl || '#')}" class="profile-card__cta">
+          ${labels.cta}
+          ${ICONS.arrow}
+        </a>
+      </article>`;
+  }
+
+  /**
+   * Markup for the trailing blurred "Get access" card
+   * @param {Object} accessCard
+   * @returns {string}
+   */
+  function accessCardTemplate(accessCard) {
+    return `
+      <article class="access-card">
+        <div class="access-card__blur">
+          <span class="access-card__placeholder">${escapeHTML(accessCard.placeholderName || '')}</span>
+          <span class="access-card__placeholder-small">${escapeHTML(accessCard.placeholderLabel || '')}</span>
+        </div>
+        <div class="access-card__content">
+          <h3 class="access-card__title">${escapeHTML(accessCard.title || '')}</h3>
+          <a href="${escapeHTML(accessCard.ctaHref || '#')}" class="access-card__cta">
+            ${escapeHTML(accessCard.ctaLabel || '')}
+            ${ICONS.arrow}
+          </a>
+        </div>
+        <div class="access-card__footer">
+          <span class="access-card__placeholder-bar"></span>
+        </div>
+      </article>`;
+  }
+
+  // ==========================================================================
+  // Rendering
+  // ==========================================================================
+
+  /**
+   * Render profile cards into the container
+   * @param {Array|Object} data - Array of profiles or { profiles, accessCard }
+   */
+  function render(data) {
+    if (!container) return;
+
+    const normalised = normaliseData(data);
+    profiles = normalised.profiles;
+
+    let html = profiles.map(profileCardTemplate).join('');
+    if (normalised.accessCard) {
+      html += accessCardTemplate(normalised.accessCard);
+    }
+    container.innerHTML = html;
+    emptyMessage = null;
+
+    cardsById.clear();
+    container.querySelectorAll('.profile-card').forEach(card => {
+      cardsById.set(card.dataset.profileId, card);
+    });
+
+    container.dispatchEvent(new CustomEvent(PROFILES_CONFIG.events.rendered, {
+      bubbles: true,
+      detail: { profiles }
+    }));
+
+    applyFilters();
+  }
+
+  // ==========================================================================
+  // Filtering
+  // ==========================================================================
+
+  /**
+   * Set or clear a named filter and re-apply all filters
+   * @param {string} name - Filter key, unique per filter source
+   * @param {Function|null} predicate - (profile) => boolean, or null to clear
+   */
+  function setFilter(name, predicate) {
+    if (typeof predicate === 'function') {
+      filters.set(name, predicate);
+    } else {
+      filters.delete(name);
+    }
+    applyFilters();
+  }
+
+  /**
+   * Set or clear the sort comparator and re-apply filters
+   * @param {Function|null} compare - (profileA, profileB) => number, or null for dataset order
+   */
+  function setSort(compare) {
+    sortCompare = typeof compare === 'function' ? compare : null;
+    applyFilters();
+  }
+
+  /**
+   * Move cards in the DOM to match the given order (the access card stays last)
+   * @param {Array} ordered
+   */
+  function reorderCards(ordered) {
+    const currentOrder = Array.from(cardsById.values());
+    const isSameOrder = ordered.every((profile, index) => currentOrder[index] === cardsById.get(profile.id));
+    if (isSameOrder) return;
+
+    const accessCard = container.querySelector('.access-card');
+    ordered.forEach(profile => {
+      const card = cardsById.get(profile.id);
+      if (card) container.insertBefore(card, accessCard);
+    });
+
+    // Keep the Map in DOM order for the next comparison
+    const entries = ordered.map(profile => [profile.id, cardsById.get(profile.id)]);
+    cardsById.clear();
+    entries.forEach(([id, card]) => cardsById.set(id, card));
+  }
+
+  /**
+   * Show cards matching every active filter and hide the rest
+   */
+  function applyFilters() {
+    if (!container) return;
+
+    // Array#sort is stable, so ties keep dataset order
+    const ordered = sortCompare ? profiles.slice().sort(sortCompare) : profiles;
+    reorderCards(ordered);
+
+    const predicates = Array.from(filters.values());
+    matches = ordered.filter(profile => predicates.every(predicate => predicate(profile)));
+
+    const matchingIds = new Set(matches.map(profile => profile.id));
+    cardsById.forEach((card, id) => {
+      card.hidden = !matchingIds.has(id);
+    });
+
+    updateCount();
+    updateEmptyMessage();
+
+    container.dispatchEvent(new CustomEvent(PROFILES_CONFIG.events.filtered, {
+      bubbles: true,
+      detail: { matches: matches.slice(), total: profiles.length }
+    }));
+  }
+
+  /**
+   * Update the results count text (restores the original text when unfiltered)
+   */
+  function updateCount() {
+    if (!countElement) return;
+
+    countElement.textContent = filters.size > 0
+      ? PROFILES_CONFIG.labels.filteredCount(matches.length)
+      : defaultCountText;
+  }
+
+  /**
+   * Show a message in place of the cards when nothing matches
+   */
+  function updateEmptyMessage() {
+    const isEmpty = profiles.length > 0 && matches.length === 0;
+
+    if (isEmpty && !emptyMessage) {
+      emptyMessage = document.createElement('p');
+      emptyMessage.className = 'profiles__empty';
+      emptyMessage.textContent = PROFILES_CONFIG.labels.empty;
+      container.prepend(emptyMessage);
+    } else if (!isEmpty && emptyMessage) {
+      emptyMessage.remove();
+      emptyMessage = null;
+    }
+  }
+
+  /**
+   * Fetch a local JSON file and render it
+   * @param {string} url
+   * @returns {Promise<void>}
+   */
+  function load(url) {
+    return fetch(url)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+      })
+      .then(render)
+      .catch(error => {
+        console.error(`Profile cards: could not load ${url}`, error);
+      });
+  }
+
+  // ==========================================================================
+  // Public API
+  // ==========================================================================
+
+  window.Flexiple = window.Flexiple || {};
+  window.Flexiple.profiles = {
+    render,
+    load,
+    setFilter,
+    setSort,
+    applyFilters,
+    formatNoticePeriod,
+    /** @returns {Array} Currently rendered profiles */
+    getAll: () => profiles.slice(),
+    /** @returns {Array} Profiles matching the active filters */
+    getMatches: () => matches.slice(),
+    /** @returns {Object|undefined} Profile data for an id */
+    get: id => profiles.find(profile => profile.id === id),
+    /** @returns {HTMLElement|undefined} Card element for an id */
+    getCard: id => cardsById.get(id)
+  };
+
+  // ==========================================================================
+  // Initialization
+  // ==========================================================================
+
+  /**
+   * Load profiles from the container's data source
+   */
+  function initProfiles() {
+    if (!container) return;
+
+    if (countElement) {
+      defaultCountText = countElement.textContent;
+    }
+
+    const src = container.getAttribute(PROFILES_CONFIG.srcAttribute);
+    if (!src) return;
+
+    load(src).then(() => {
+      console.log(`Profile cards rendered: ${profiles.length}`);
+    });
+  }
+
+  // Run on DOM ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initProfiles);
+  } else {
+    initProfiles();
+  }
+
+})();
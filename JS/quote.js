@@ -0,0 +1,521 @@
+/**
+ * Get a Quote
+ *
+ * Features:
+ * 1. Opens the quote dialog from profile, promo and access card CTAs
+ * 2. Prefills the developer's name and skills from the profile data
+ * 3. Client-side validation with inline, aria-described errors
+ * 4. Pluggable submit adapter (Flexiple.quote.setAdapter)
+ * 5. Default adapter queues submissions in localStorage and POSTs them to a
+ *    configurable endpoint, retrying queued ones on load and when back online.
+ *    Network failures, 5xx, 408 and 429 responses are retried (the last two
+ *    after Retry-After); a submission the server refuses (other 4xx) is
+ *    dropped and reported as an error.
+ *
+ * The endpoint comes from the form's data-endpoint attribute, falling back
+ * to QUOTE_CONFIG.endpoint. This is a static site, so that must point at a
+ * deployed quote API: while it answers 404, submissions stay queued on the
+ * device instead of being sent anywhere.
+ */
+
+(function () {
+  'use strict';
+
+  // ==========================================================================
+  // Configuration
+  // ==========================================================================
+
+  const QUOTE_CONFIG = {
+    endpoint: '/api/quotes',
+    storageKey: 'flexiple:quote-queue',
+    // Responses that mean "not now" rather than "no"
+    retryLaterStatuses: [408, 429],
+    // Wait before retrying those when the server sends no Retry-After (ms)
+    retryDelay: 30000,
+    maxRetryDelay: 60 * 60 * 1000,
+    dialogName: 'quote',
+    selectors: {
+      // Links that open the dialog; the key is the submission's `source`
+      triggers: {
+        profile: '.profile-card__cta',
+        promo: '.promo-card__cta',
+        access: '.access-card__cta'
+      },
+      form: '.quote-form',
+      title: '.modal__title',
+      field: '.quote-form__field',
+      error: '.quote-form__error',
+      status: '.quote-form__status',
+      submit: '.quote-form__submit',
+      success: '.quote-success',
+      successTitle: '.quote-success__title',
+      successMessage: '.quote-success__message'
+    },
+    labels: {
+      defaultTitle: 'Get a Quote',
+      submit: 'Request quote',
+      submitting: 'Sending…',
+      invalid: count => `Please fix ${count} ${count === 1 ? 'field' : 'fields'} before sending.`,
+      failed: 'Something went wrong. Please try again.',
+      rejected: 'We could not accept this request. Please check your details and try again.',
+      successTitle: name => `Thanks${name ? `, ${name.split(' ')[0]}` : ''}!`,
+      sent: 'We have received your request and will get back to you within one business day.',
+      queued: 'Your request is saved on this device and will be sent automatically as soon as possible.'
+    }
+  };
+
+  const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  /**
+   * One validator per field name; each returns an error message or ''.
+   * Fields without a validator are optional.
+   */
+  const FIELD_VALIDATORS = {
+    name: value => (value.trim() ? '' : 'Please enter your name.'),
+    email: value => {
+      if (!value.trim()) return 'Please enter your work email.';
+      return EMAIL_PATTERN.test(value.trim()) ? '' : 'Please enter a valid email address.';
+    },
+    skills: value => (value.split(',').some(skill => skill.trim()) ? '' : 'Please list at least one skill.'),
+    engagement: value => (value ? '' : 'Please choose an engagement type.'),
+    message: value => (value.length <= 1000 ? '' : 'Please keep your message under 1000 characters.')
+  };
+
+  // ==========================================================================
+  // State
+  // ==========================================================================
+
+  let adapter = null;
+  // Profile the dialog was opened for, and which CTA opened it
+  let context = { source: null, profileId: null };
+  // Validate as the user types once they've tried to submit
+  let hasAttemptedSubmit = false;
+
+  // ==========================================================================
+  // DOM References
+  // ==========================================================================
+
+  const form = document.querySelector(QUOTE_CONFIG.selectors.form);
+  const modal = form && form.closest('[data-dialog]');
+
+  // ==========================================================================
+  // Submit Adapters
+  // ==========================================================================
+
+  /**
+   * Whether a failed send is worth retrying: the request never reached the
+   * server, the server failed (5xx) or asked to try later (408, 429), or the
+   * endpoint isn't deployed yet (404). Other refusals (4xx) would fail again.
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  function isRetryable(error) {
+    if (!error.status || error.status >= 500) return true;
+    return error.status === 404 || QUOTE_CONFIG.retryLaterStatuses.includes(error.status);
+  }
+
+  /**
+   * Read a Retry-After header, given either in seconds or as an HTTP date
+   * @param {string|null} value
+   * @returns {number|null} Delay in ms, or null when missing or malformed
+   */
+  function parseRetryAfter(value) {
+    if (!value || !value.trim()) return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Default adapter: keep every submission in localStorage until the endpoint
+   * accepts or refuses it, so leads survive offline use and server errors.
+   * @param {Object} [options]
+   * @param {string} [options.endpoint]
+   * @param {string} [options.storageKey]
+   * @returns {{ submit: Function, flush: Function, getQueue: Function }}
+   */
+  function createQueueAdapter({ endpoint = QUOTE_CONFIG.endpoint, storageKey = QUOTE_CONFIG.storageKey } = {}) {
+    let pendingFlush = null;
+    let retryTimer = null;
+
+    function readQueue() {
+      try {
+        return JSON.parse(window.localStorage.getItem(storageKey)) || [];
+      } catch (error) {
+        return [];
+      }
+    }
+
+    function writeQueue(queue) {
+      try {
+        window.localStorage.setItem(storageKey, JSON.stringify(queue));
+      } catch (error) {
+        console.warn('Quote: could not save the submission queue', error);
+      }
+    }
+
+    function post(submission) {
+      return fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(submission)
+      }).then(response => {
+        if (!response.ok) {
+          const error = new Error(`HTTP ${response.status}`);
+          error.status = response.status;
+          error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+          throw error;
+        }
+      });
+    }
+
+    function removeFromQueue(id) {
+      writeQueue(readQueue().filter(item => item.id !== id));
+    }
+
+    /**
+     * Flush again once the server is ready for more, e.g. after a 429
+     * @param {number} delay - ms
+     */
+    function scheduleFlush(delay) {
+      window.clearTimeout(retryTimer);
+      retryTimer = window.setTimeout(() => {
+        retryTimer = null;
+        flush().catch(() => {});
+      }, Math.min(delay, QUOTE_CONFIG.maxRetryDelay));
+    }
+
+    /**
+     * Send queued submissions in order. Refused ones are dropped and server
+     * errors stay queued. Anything that would fail the same way for the rest
+     * of the queue (offline, missing endpoint, 408/429) stops the run; 408
+     * and 429 schedule another run after their Retry-After.
+     * @returns {Promise<{sent: string[], rejected: {id: string, error: Error}[]}>}
+     */
+    function flush() {
+      // Let the running flush finish, then pick up anything queued since
+      if (pendingFlush) return pendingFlush.then(() => flush());
+
+      window.clearTimeout(retryTimer);
+      retryTimer = null;
+
+      const result = { sent: [], rejected: [] };
+      const attempted = new Set();
+
+      const sendNext = () => {
+        const next = readQueue().find(item => !attempted.has(item.id));
+        if (!next) return Promise.resolve(result);
+        attempted.add(next.id);
+
+        return post(next)
+          .then(() => {
+            removeFromQueue(next.id);
+            result.sent.push(next.id);
+            return sendNext();
+          })
+          .catch(error => {
+            if (!isRetryable(error)) {
+              console.warn(`Quote: ${endpoint} refused request ${next.id}, dropping it`, error);
+              removeFromQueue(next.id);
+              result.rejected.push({ id: next.id, error });
+              return sendNext();
+            }
+            console.warn(`Quote: could not send request ${next.id}, keeping it queued`, error);
+            if (error.status >= 500) return sendNext();
+
+            if (QUOTE_CONFIG.retryLaterStatuses.includes(error.status)) {
+              scheduleFlush(error.retryAfter !== null ? error.retryAfter : QUOTE_CONFIG.retryDelay);
+            }
+            return result;
+          });
+      };
+
+      pendingFlush = sendNext().finally(() => {
+        pendingFlush = null;
+      });
+      return pendingFlush;
+    }
+
+    return {
+      /**
+       * @param {Object} submission
+       * @returns {Promise<{status: 'sent' | 'queued'}>} Rejects with the
+       *   response error when the server refuses the submission
+       */
+      submit(submission) {
+        writeQueue([...readQueue(), submission]);
+
+        return flush().then(({ rejected }) => {
+          const refusal = rejected.find(item => item.id === submission.id);
+          if (refusal) throw refusal.error;
+
+          return {
+            status: readQueue().some(item => item.id === submission.id) ? 'queued' : 'sent'
+          };
+        });
+      },
+      flush,
+      getQueue: readQueue
+    };
+  }
+
+  // ==========================================================================
+  // Validation
+  // ==========================================================================
+
+  /**
+   * Show or clear the error for a single field
+   * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} field
+   * @returns {boolean} Whether the field is valid
+   */
+  function validateField(field) {
+    const validator = FIELD_VALIDATORS[field.name];
+    const message = validator ? validator(field.value) : '';
+    const wrapper = field.closest(QUOTE_CONFIG.selectors.field);
+    const error = wrapper && wrapper.querySelector(QUOTE_CONFIG.selectors.error);
+
+    field.setAttribute('aria-invalid', (message !== '').toString());
+    if (error) error.textContent = message;
+
+    return message === '';
+  }
+
+  /**
+   * Validate every field, focusing the first invalid one
+   * @returns {boolean}
+   */
+  function validateForm() {
+    const invalidFields = Array.from(form.elements)
+      .filter(field => field.name && !validateField(field));
+
+    const status = form.querySelector(QUOTE_CONFIG.selectors.status);
+    if (status) {
+      status.textContent = invalidFields.length > 0 ? QUOTE_CONFIG.labels.invalid(invalidFields.length) : '';
+    }
+
+    if (invalidFields.length > 0) invalidFields[0].focus();
+    return invalidFields.length === 0;
+  }
+
+  /**
+   * Clear every error message and invalid state
+   */
+  function clearErrors() {
+    Array.from(form.elements).forEach(field => {
+      if (field.name) field.removeAttribute('aria-invalid');
+    });
+    form.querySelectorAll(QUOTE_CONFIG.selectors.error).forEach(error => {
+      error.textContent = '';
+    });
+    const status = form.querySelector(QUOTE_CONFIG.selectors.status);
+    if (status) status.textContent = '';
+  }
+
+  // ==========================================================================
+  // Dialog Content
+  // ==========================================================================
+
+  /**
+   * Toggle between the form and the thank-you message
+   * @param {'sent' | 'queued' | null} result - null shows the form
+   * @param {string} [name] - Submitter name for the thank-you title
+   */
+  function showResult(result, name = '') {
+    const { selectors, labels } = QUOTE_CONFIG;
+    const success = modal.querySelector(selectors.success);
+
+    form.hidden = result !== null;
+    if (!success) return;
+
+    success.hidden = result === null;
+    if (result === null) return;
+
+    success.querySelector(selectors.successTitle).textContent = labels.successTitle(name);
+    success.querySelector(selectors.successMessage).textContent = labels[result];
+    success.querySelector(selectors.successTitle).focus();
+  }
+
+  /**
+   * Toggle the submit button's busy state
+   * @param {boolean} isBusy
+   */
+  function setSubmitting(isBusy) {
+    const button = form.querySelector(QUOTE_CONFIG.selectors.submit);
+    form.setAttribute('aria-busy', isBusy.toString());
+    if (!button) return;
+    button.disabled = isBusy;
+    button.textContent = isBusy ? QUOTE_CONFIG.labels.submitting : QUOTE_CONFIG.labels.submit;
+  }
+
+  /**
+   * Reset the form and prefill it for a profile
+   * @param {Object} [options]
+   * @param {string} [options.profileId]
+   * @param {string} [options.source]
+   * @param {string} [options.title]
+   */
+  function prepareForm({ profileId = null, source = null, title = QUOTE_CONFIG.labels.defaultTitle } = {}) {
+    form.reset();
+    clearErrors();
+    setSubmitting(false);
+    showResult(null);
+    hasAttemptedSubmit = false;
+
+    const profile = profileId && window.Flexiple.profiles ? window.Flexiple.profiles.get(profileId) : null;
+    context = { source, profileId: profile ? profile.id : null };
+
+    if (profile) {
+      form.elements.developer.value = profile.name;
+      form.elements.skills.value = [profile.primarySkill, ...profile.skills].join(', ');
+    }
+
+    const titleElement = modal.querySelector(QUOTE_CONFIG.selectors.title);
+    if (titleElement) titleElement.textContent = title;
+  }
+
+  // ==========================================================================
+  // Public API
+  // ==========================================================================
+
+  /**
+   * Open the quote dialog
+   * @param {Object} [options] - See prepareForm
+   * @param {HTMLElement} [opener] - Receives focus again on close
+   */
+  function open(options = {}, opener) {
+    const dialog = window.Flexiple.dialogs && window.Flexiple.dialogs.get(QUOTE_CONFIG.dialogName);
+    if (!form || !dialog) return;
+
+    prepareForm(options);
+    dialog.open(opener);
+  }
+
+  window.Flexiple = window.Flexiple || {};
+  window.Flexiple.quote = {
+    open,
+    createQueueAdapter,
+    /**
+     * Replace how submissions are sent
+     * @param {{ submit: Function, flush?: Function }} nextAdapter - submit(submission)
+     *   resolves to { status: 'sent' | 'queued' } and rejects when the submission
+     *   fails; an error with a 4xx `status` is shown as a refusal
+     */
+    setAdapter(nextAdapter) {
+      adapter = nextAdapter;
+    },
+    /** @returns {Object} Current submit adapter */
+    getAdapter: () => adapter
+  };
+
+  // ==========================================================================
+  // Event Handlers
+  // ==========================================================================
+
+  /**
+   * Open the dialog from any quote CTA
+   * @param {MouseEvent} event
+   */
+  function handleTriggerClick(event) {
+    const { triggers } = QUOTE_CONFIG.selectors;
+    const source = Object.keys(triggers).find(key => event.target.closest(triggers[key]));
+    if (!source) return;
+
+    const trigger = event.target.closest(triggers[source]);
+    const card = trigger.closest('[data-profile-id]');
+
+    event.preventDefault();
+    open({
+      source,
+      profileId: card ? card.dataset.profileId : null,
+      title: trigger.textContent.trim() || QUOTE_CONFIG.labels.defaultTitle
+    }, trigger);
+  }
+
+  /**
+   * Validate and send the form
+   * @param {SubmitEvent} event
+   */
+  function handleSubmit(event) {
+    event.preventDefault();
+    hasAttemptedSubmit = true;
+    if (!validateForm()) return;
+
+    const fields = Object.fromEntries(new FormData(form));
+    const submission = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      createdAt: new Date().toISOString(),
+      ...context,
+      ...fields,
+      skills: fields.skills.split(',').map(skill => skill.trim()).filter(Boolean)
+    };
+
+    setSubmitting(true);
+    Promise.resolve()
+      .then(() => adapter.submit(submission))
+      .then(result => {
+        setSubmitting(false);
+        showResult(result && result.status === 'queued' ? 'queued' : 'sent', fields.name);
+      })
+      .catch(error => {
+        console.error('Quote: submission failed', error);
+        setSubmitting(false);
+
+        const isRefused = error && error.status >= 400 && error.status < 500;
+        form.querySelector(QUOTE_CONFIG.selectors.status).textContent =
+          isRefused ? QUOTE_CONFIG.labels.rejected : QUOTE_CONFIG.labels.failed;
+      });
+  }
+
+  /**
+   * Re-validate a field as the user corrects it
+   * @param {Event} event
+   */
+  function handleFieldInput(event) {
+    if (!event.target.name) return;
+    if (hasAttemptedSubmit || event.target.getAttribute('aria-invalid') === 'true') {
+      validateField(event.target);
+    }
+  }
+
+  // ==========================================================================
+  // Initialization
+  // ==========================================================================
+
+  /**
+   * Initialize the quote dialog
+   */
+  function initQuote() {
+    if (!form || !modal) return;
+
+    adapter = createQueueAdapter({ endpoint: form.dataset.endpoint || QUOTE_CONFIG.endpoint });
+
+    document.addEventListener('click', handleTriggerClick);
+    form.addEventListener('submit', handleSubmit);
+    form.addEventListener('input', handleFieldInput);
+    form.addEventListener('focusout', event => {
+      // Validate a field once it has been filled in and left
+      if (event.target.name && event.target.value) validateField(event.target);
+    });
+
+    // Retry anything left over from an earlier visit
+    const retry = () => {
+      if (typeof adapter.flush !== 'function') return;
+      adapter.flush().catch(() => {});
+    };
+    window.addEventListener('online', retry);
+    retry();
+
+    console.log('Quote dialog initialized');
+  }
+
+  // Run on DOM ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initQuote);
+  } else {
+    initQuote();
+  }
+
+})();
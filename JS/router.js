@@ -0,0 +1,287 @@
+/**
+ * URL State Sync
+ *
+ * Features:
+ * 1. Serialises the developer search, profile filters, sort, page, carousel
+ *    slide and open FAQ items into the query string
+ *    (e.g. ?q=react&skills=Python&notice=30&sort=ctc-asc&page=2)
+ * 2. Restores that state on load so links can be shared
+ * 3. Uses pushState for navigational changes and replaceState for the rest
+ * 4. Re-applies state on popstate (browser back/forward)
+ */
+
+(function () {
+  'use strict';
+
+  // ==========================================================================
+  // Configuration
+  // ==========================================================================
+
+  /**
+   * One entry per query parameter. Values are always string arrays;
+   * an empty array removes the parameter from the URL.
+   *
+   * - events:  events (on document) that mean the value may have changed
+   * - history: 'push' adds a history entry, 'replace' updates the current one
+   * - read:    current value from the page
+   * - apply:   restore a value from the URL
+   */
+  const STATE_PARAMS = [
+    {
+      key: 'q',
+      history: 'replace',
+      events: ['search:change'],
+      read: () => {
+        const query = window.Flexiple.profileSearch.getQuery();
+        return query ? [query] : [];
+      },
+      apply: values => window.Flexiple.profileSearch.search(values[0] || '')
+    },
+    {
+      key: 'skills',
+      history: 'push',
+      events: ['filters:change'],
+      read: () => window.Flexiple.filters.getSelected().skills || [],
+      apply: values => window.Flexiple.filters.setSelected('skills', values)
+    },
+    {
+      key: 'notice',
+      history: 'push',
+      events: ['filters:change'],
+      read: () => window.Flexiple.filters.getSelected().notice || [],
+      apply: values => window.Flexiple.filters.setSelected('notice', values)
+    },
+    {
+      key: 'sort',
+      history: 'push',
+      events: ['sort:change'],
+      read: () => {
+        const sort = window.Flexiple.sort.getSort();
+        return sort === window.Flexiple.sort.getDefault() ? [] : [sort];
+      },
+      apply: values => window.Flexiple.sort.setSort(values[0] || window.Flexiple.sort.getDefault())
+    },
+    {
+      key: 'page',
+      history: 'push',
+      events: ['pagination:change'],
+      read: () => {
+        const page = window.Flexiple.pagination.getPage();
+        return page > 1 ? [String(page)] : [];
+      },
+      apply: values => whenProfilesReady(() => {
+        window.Flexiple.pagination.goToPage(Number(values[0]) || 1, { scroll: false });
+      })
+    },
+    {
+      key: 'slide',
+      history: 'replace',
+      events: ['slidechange'],
+      read: () => {
+        const carousel = window.Flexiple.carousels.get('testimonials');
+        const slide = carousel ? carousel.currentSlide : 0;
+        return slide > 0 ? [String(slide + 1)] : [];
+      },
+      apply: values => {
+        const carousel = window.Flexiple.carousels.get('testimonials');
+        if (carousel) carousel.goTo((Number(values[0]) || 1) - 1, { trigger: 'restore' });
+      }
+    },
+    {
+      key: 'faq',
+      history: 'replace',
+      events: ['faq:toggle'],
+      read: () => window.Flexiple.faq.getOpenIds(),
+      apply: values => {
+        window.Flexiple.faq.getOpenIds()
+          .filter(id => !values.includes(id))
+          .forEach(id => window.Flexiple.faq.close(id, { trigger: 'restore' }));
+        values.forEach(id => window.Flexiple.faq.open(id, { trigger: 'restore' }));
+      }
+    }
+  ];
+
+  // Namespace each param depends on; params whose module is missing are skipped
+  const PARAM_MODULES = {
+    q: 'profileSearch',
+    skills: 'filters',
+    notice: 'filters',
+    sort: 'sort',
+    page: 'pagination',
+    slide: 'carousels',
+    faq: 'faq'
+  };
+
+  // ==========================================================================
+  // State
+  // ==========================================================================
+
+  let activeParams = [];
+  // True while applying URL state, so the resulting events don't write back
+  let isRestoring = false;
+  let pendingWrite = null;
+
+  // ==========================================================================
+  // Utility Functions
+  // ==========================================================================
+
+  /**
+   * Run a callback once profile data is loaded and filtered
+   * @param {Function} callback
+   */
+  function whenProfilesReady(callback) {
+    if (window.Flexiple.profiles.getAll().length > 0) {
+      callback();
+      return;
+    }
+
+    document.addEventListener('profiles:filtered', function handleReady(event) {
+      if (event.detail.total === 0) return;
+      document.removeEventListener('profiles:filtered', handleReady);
+      withoutWrites(callback);
+    });
+  }
+
+  /**
+   * Run a function without writing the resulting state changes to the URL
+   * @param {Function} fn
+   */
+  function withoutWrites(fn) {
+    const wasRestoring = isRestoring;
+    isRestoring = true;
+    try {
+      fn();
+    } finally {
+      isRestoring = wasRestoring;
+    }
+  }
+
+  // ==========================================================================
+  // Reading / Writing the URL
+  // ==========================================================================
+
+  /**
+   * Parse our params from the current URL
+   * @returns {Object<string, string[]>}
+   */
+  function readUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const state = {};
+
+    activeParams.forEach(param => {
+      state[param.key] = params.getAll(param.key).filter(Boolean);
+    });
+
+    return state;
+  }
+
+  /**
+   * Apply URL state to the page
+   * @param {Object<string, string[]>} state
+   */
+  function applyState(state) {
+    withoutWrites(() => {
+      activeParams.forEach(param => param.apply(state[param.key] || []));
+    });
+  }
+
+  /**
+   * Queue a URL update; several events from one interaction become one write
+   * @param {'push' | 'replace'} mode
+   */
+  function scheduleWrite(mode) {
+    if (isRestoring) return;
+
+    // A push anywhere in the batch wins over replace
+    if (pendingWrite) {
+      if (mode === 'push') pendingWrite = 'push';
+      return;
+    }
+
+    pendingWrite = mode;
+    Promise.resolve().then(() => {
+      const writeMode = pendingWrite;
+      pendingWrite = null;
+      writeUrl(writeMode);
+    });
+  }
+
+  /**
+   * Serialise the current page state into the URL
+   * @param {'push' | 'replace'} mode
+   */
+  function writeUrl(mode) {
+    const params = new URLSearchParams(window.location.search);
+
+    activeParams.forEach(param => {
+      params.delete(param.key);
+      param.read().forEach(value => params.append(param.key, value));
+    });
+
+    const query = params.toString();
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    const currentUrl = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+    if (url === currentUrl) return;
+
+    if (mode === 'push') {
+      window.history.pushState(null, '', url);
+    } else {
+      window.history.replaceState(null, '', url);
+    }
+  }
+
+  // ==========================================================================
+  // Event Handlers
+  // ==========================================================================
+
+  /**
+   * Restore state when navigating through history
+   */
+  function handlePopState() {
+    applyState(readUrl());
+  }
+
+  // ==========================================================================
+  // Initialization
+  // ==========================================================================
+
+  /**
+   * Restore state from the URL and start listening for changes
+   */
+  function initRouter() {
+    const namespace = window.Flexiple || {};
+    activeParams = STATE_PARAMS.filter(param => namespace[PARAM_MODULES[param.key]]);
+    if (!namespace.carousels || !namespace.carousels.has('testimonials')) {
+      activeParams = activeParams.filter(param => param.key !== 'slide');
+    }
+    if (activeParams.length === 0) return;
+
+    const initialState = readUrl();
+    applyState(initialState);
+
+    // Bring a deep-linked FAQ answer into view
+    const [faqId] = initialState.faq || [];
+    const faqAnswer = faqId && document.getElementById(faqId);
+    if (faqAnswer) {
+      faqAnswer.closest('.faq__item, .faq__question-wrapper')?.scrollIntoView({ block: 'start' });
+    }
+
+    activeParams.forEach(param => {
+      param.events.forEach(eventName => {
+        document.addEventListener(eventName, () => scheduleWrite(param.history));
+      });
+    });
+
+    window.addEventListener('popstate', handlePopState);
+
+    console.log(`URL state sync initialized: ${activeParams.map(param => param.key).join(', ')}`);
+  }
+
+  // Run on DOM ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initRouter);
+  } else {
+    initRouter();
+  }
+
+})();
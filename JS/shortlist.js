@@ -0,0 +1,488 @@
+/**
+ * Shortlist & Compare
+ *
+ * Features:
+ * 1. "Shortlist" toggle (aria-pressed) on every profile card
+ * 2. Sticky tray listing up to four shortlisted developers, saved in localStorage
+ * 3. Compare dialog with experience, CTC, notice period and skills side by side,
+ *    reusing the .gcc-table styling
+ * 4. Skills shared by everyone and skills only one developer has are highlighted
+ * 5. Public API on Flexiple.shortlist and a `shortlist:change` event
+ */
+
+(function () {
+  'use strict';
+
+  // ==========================================================================
+  // Configuration
+  // ==========================================================================
+
+  const SHORTLIST_CONFIG = {
+    storageKey: 'flexiple:shortlist',
+    maxItems: 4,
+    minCompare: 2,
+    dialogName: 'compare',
+    selectors: {
+      container: '.profile-cards',
+      card: '.profile-card',
+      cardHeader: '.profile-card__header',
+      tray: '.shortlist-tray',
+      trayList: '.shortlist-tray__list',
+      trayCount: '.shortlist-tray__count',
+      trayStatus: '.shortlist-tray__status',
+      compareButton: '.shortlist-tray__compare',
+      clearButton: '.shortlist-tray__clear',
+      compareBody: '.compare__body'
+    },
+    classes: {
+      toggle: 'shortlist-toggle',
+      shortlisted: 'profile-card--shortlisted',
+      trayItem: 'shortlist-tray__item',
+      trayRemove: 'shortlist-tray__remove',
+      skill: 'compare__skill',
+      shared: 'compare__skill--shared',
+      unique: 'compare__skill--unique'
+    },
+    labels: {
+      toggle: name => `Shortlist ${name}`,
+      remove: name => `Remove ${name} from shortlist`,
+      count: (count, max) => `${count} of ${max} selected`,
+      full: max => `You can compare up to ${max} developers. Remove one to add another.`,
+      added: name => `${name} added to shortlist`,
+      removed: name => `${name} removed from shortlist`,
+      quote: 'Get a Quote'
+    },
+    events: {
+      change: 'shortlist:change'
+    }
+  };
+
+  const ICONS = {
+    bookmark: '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" ' +
+      'stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">' +
+      '<path d="m19 21-7-4-7 4V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2v16z" /></svg>',
+    close: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" ' +
+      'stroke-linecap="round" aria-hidden="true"><path d="M18 6 6 18M6 6l12 12" /></svg>'
+  };
+
+  // ==========================================================================
+  // State
+  // ==========================================================================
+
+  // Shortlisted profile ids, in the order they were added
+  let selectedIds = [];
+
+  // ==========================================================================
+  // DOM References
+  // ==========================================================================
+
+  const container = document.querySelector(SHORTLIST_CONFIG.selectors.container);
+  const tray = document.querySelector(SHORTLIST_CONFIG.selectors.tray);
+
+  // ==========================================================================
+  // Utility Functions
+  // ==========================================================================
+
+  /**
+   * Escape a string for safe use in HTML
+   * @param {*} value
+   * @returns {string}
+   */
+  function escapeHTML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Profile data for an id
+   * @param {string} id
+   * @returns {Object|undefined}
+   */
+  function getProfile(id) {
+    return window.Flexiple.profiles.get(id);
+  }
+
+  /**
+   * All of a profile's skills, primary first
+   * @param {Object} profile
+   * @returns {string[]}
+   */
+  function getSkills(profile) {
+    return [profile.primarySkill, ...profile.skills.filter(skill => skill !== profile.primarySkill)];
+  }
+
+  /**
+   * Read the saved shortlist
+   * @returns {string[]}
+   */
+  function loadSelection() {
+    try {
+      const saved = JSON.parse(window.localStorage.getItem(SHORTLIST_CONFIG.storageKey));
+      return Array.isArray(saved) ? saved.slice(0, SHORTLIST_CONFIG.maxItems) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Save the shortlist
+   */
+  function saveSelection() {
+    try {
+      window.localStorage.setItem(SHORTLIST_CONFIG.storageKey, JSON.stringify(selectedIds));
+    } catch (error) {
+      console.warn('Shortlist: could not save the selection', error);
+    }
+  }
+
+  /**
+   * Announce a message in the tray's live region
+   * @param {string} message
+   */
+  function announce(message) {
+    const status = tray && tray.querySelector(SHORTLIST_CONFIG.selectors.trayStatus);
+    if (status) status.textContent = message;
+  }
+
+  // ==========================================================================
+  // Selection
+  // ==========================================================================
+
+  /**
+   * Replace the selection, then persist and re-render
+   * @param {string[]} ids
+   */
+  function setSelection(ids) {
+    selectedIds = ids;
+    saveSelection();
+    updateToggles();
+    renderTray();
+
+    document.dispatchEvent(new CustomEvent(SHORTLIST_CONFIG.events.change, {
+      detail: { ids: [...selectedIds] }
+    }));
+  }
+
+  /**
+   * Add a developer to the shortlist
+   * @param {string} id
+   * @returns {boolean} Whether the developer is now shortlisted
+   */
+  function add(id) {
+    const profile = getProfile(id);
+    if (!profile) return false;
+    if (selectedIds.includes(id)) return true;
+
+    if (selectedIds.length >= SHORTLIST_CONFIG.maxItems) {
+      announce(SHORTLIST_CONFIG.labels.full(SHORTLIST_CONFIG.maxItems));
+      return false;
+    }
+
+    setSelection([...selectedIds, id]);
+    announce(SHORTLIST_CONFIG.labels.added(profile.name));
+    return true;
+  }
+
+  /**
+   * Remove a developer from the shortlist
+   * @param {string} id
+   */
+  function remove(id) {
+    if (!selectedIds.includes(id)) return;
+
+    const profile = getProfile(id);
+    setSelection(selectedIds.filter(selectedId => selectedId !== id));
+    if (profile) announce(SHORTLIST_CONFIG.labels.removed(profile.name));
+  }
+
+  /**
+   * Add or remove a developer
+   * @param {string} id
+   */
+  function toggle(id) {
+    if (selectedIds.includes(id)) {
+      remove(id);
+    } else {
+      add(id);
+    }
+  }
+
+  // ==========================================================================
+  // Card Toggles
+  // ==========================================================================
+
+  /**
+   * Add a shortlist toggle to every rendered profile card
+   */
+  function addToggles() {
+    const { selectors, classes, labels } = SHORTLIST_CONFIG;
+
+    container.querySelectorAll(selectors.card).forEach(card => {
+      if (card.querySelector(`.${classes.toggle}`)) return;
+
+      const profile = getProfile(card.dataset.profileId);
+      if (!profile) return;
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = classes.toggle;
+      button.dataset.profileId = profile.id;
+      button.setAttribute('aria-label', labels.toggle(profile.name));
+      button.setAttribute('aria-pressed', 'false');
+      button.innerHTML = ICONS.bookmark;
+
+      const header = card.querySelector(selectors.cardHeader) || card;
+      header.appendChild(button);
+    });
+
+    updateToggles();
+  }
+
+  /**
+   * Sync toggle and card state with the selection
+   */
+  function updateToggles() {
+    const { classes } = SHORTLIST_CONFIG;
+
+    container.querySelectorAll(`.${classes.toggle}`).forEach(button => {
+      const isSelected = selectedIds.includes(button.dataset.profileId);
+      button.setAttribute('aria-pressed', isSelected.toString());
+      button.closest(SHORTLIST_CONFIG.selectors.card).classList.toggle(classes.shortlisted, isSelected);
+    });
+  }
+
+  // ==========================================================================
+  // Tray
+  // ==========================================================================
+
+  /**
+   * Render the tray items, count and buttons
+   */
+  function renderTray() {
+    if (!tray) return;
+
+    const { selectors, classes, labels, minCompare, maxItems } = SHORTLIST_CONFIG;
+    const list = tray.querySelector(selectors.trayList);
+    const focusedId = tray.contains(document.activeElement) ? document.activeElement.dataset.profileId : null;
+
+    list.innerHTML = selectedIds.map(id => {
+      const profile = getProfile(id);
+      return `
+        <li class="${classes.trayItem}">
+          <span>${escapeHTML(profile.name)}</span>
+          <button type="button" class="${classes.trayRemove}" data-profile-id="${escapeHTML(id)}"
+            aria-label="${escapeHTML(labels.remove(profile.name))}">${ICONS.close}</button>
+        </li>`;
+    }).join('');
+
+    tray.querySelector(selectors.trayCount).textContent = labels.count(selectedIds.length, maxItems);
+    tray.querySelector(selectors.compareButton).disabled = selectedIds.length < minCompare;
+    tray.hidden = selectedIds.length === 0;
+
+    // Removing an item re-renders the list, so keep focus in the tray
+    if (focusedId) {
+      const nextFocus = list.querySelector(`.${classes.trayRemove}`) || tray.querySelector(selectors.clearButton);
+      if (!tray.hidden && nextFocus) nextFocus.focus();
+    }
+  }
+
+  // ==========================================================================
+  // Compare View
+  // ==========================================================================
+
+  /**
+   * Markup for a row of skill tags, marking shared and unique skills
+   * @param {string[]} skills
+   * @param {Set<string>} shared - Skills every compared developer has
+   * @param {Map<string, number>} counts - How many developers have each skill
+   * @returns {string}
+   */
+  function skillListTemplate(skills, shared, counts) {
+    const { classes } = SHORTLIST_CONFIG;
+
+    return `<ul class="compare__skills">${skills.map(skill => {
+      let modifier = '';
+      if (shared.has(skill)) modifier = ` ${classes.shared}`;
+      else if (counts.get(skill) === 1) modifier = ` ${classes.unique}`;
+      return `<li class="${classes.skill}${modifier}">${escapeHTML(skill)}</li>`;
+    }).join('')}</ul>`;
+  }
+
+  /**
+   * Build the comparison table for the shortlisted developers
+   * @param {Object[]} profiles
+   * @returns {string}
+   */
+  function compareTableTemplate(profiles) {
+    const formatNotice = window.Flexiple.profiles.formatNoticePeriod;
+    const skillSets = profiles.map(getSkills);
+
+    const counts = new Map();
+    skillSets.flat().forEach(skill => counts.set(skill, (counts.get(skill) || 0) + 1));
+    const shared = new Set(Array.from(counts.keys()).filter(skill => counts.get(skill) === profiles.length));
+
+    const minCtc = Math.min(...profiles.map(profile => profile.ctc));
+    const maxExperience = Math.max(...profiles.map(profile => profile.experience));
+
+    const row = (label, cells) => `
+      <tr>
+        <th scope="row">${label}</th>
+        ${cells.join('')}
+      </tr>`;
+
+    return `
+      <div class="gcc-table-wrapper">
+        <table class="gcc-table compare__table">
+          <caption class="visually-hidden">Comparison of ${profiles.length} shortlisted developers</caption>
+          <thead>
+            <tr>
+              <td></td>
+              ${profiles.map(profile => `<th scope="col">${escapeHTML(profile.name)}</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody>
+            ${row('Experience', profiles.map(profile => `
+              <td>${profile.experience === maxExperience ? `<strong>${profile.experience} years</strong>` : `${profile.experience} years`}</td>`))}
+            ${row('Current CTC', profiles.map(profile => `
+              <td>${profile.ctc === minCtc ? `<strong>₹${profile.ctc}LPA</strong>` : `₹${profile.ctc}LPA`}</td>`))}
+            ${row('Notice period', profiles.map(profile => `
+              <td>${profile.noticePeriod === undefined ? '—' : escapeHTML(formatNotice(profile.noticePeriod))}</td>`))}
+            ${row('Primary skill', profiles.map(profile => `<td>${escapeHTML(profile.primarySkill)}</td>`))}
+            ${row('Skills', skillSets.map(skills => `<td>${skillListTemplate(skills, shared, counts)}</td>`))}
+            ${row('Shared skills', [`
+              <td colspan="${profiles.length}">${shared.size > 0 ? escapeHTML(Array.from(shared).join(', ')) : 'None'}</td>`])}
+            ${row('<span class="visually-hidden">Actions</span>', profiles.map(profile => `
+              <td><button type="button" class="compare__quote" data-profile-id="${escapeHTML(profile.id)}">
+                ${SHORTLIST_CONFIG.labels.quote}</button></td>`))}
+          </tbody>
+        </table>
+      </div>`;
+  }
+
+  /**
+   * Open the compare dialog for the current shortlist
+   * @param {HTMLElement} [opener]
+   */
+  function compare(opener) {
+    const dialog = window.Flexiple.dialogs && window.Flexiple.dialogs.get(SHORTLIST_CONFIG.dialogName);
+    if (!dialog || selectedIds.length < SHORTLIST_CONFIG.minCompare) return;
+
+    const body = dialog.root.querySelector(SHORTLIST_CONFIG.selectors.compareBody);
+    body.innerHTML = compareTableTemplate(selectedIds.map(getProfile));
+    dialog.open(opener);
+  }
+
+  // ==========================================================================
+  // Public API
+  // ==========================================================================
+
+  window.Flexiple = window.Flexiple || {};
+  window.Flexiple.shortlist = {
+    add,
+    remove,
+    toggle,
+    compare,
+    /** Remove everyone from the shortlist */
+    clear: () => setSelection([]),
+    /** @returns {string[]} Shortlisted profile ids */
+    getIds: () => [...selectedIds]
+  };
+
+  // ==========================================================================
+  // Event Handlers
+  // ==========================================================================
+
+  /**
+   * Handle clicks on card toggles
+   * @param {MouseEvent} event
+   */
+  function handleContainerClick(event) {
+    const button = event.target.closest(`.${SHORTLIST_CONFIG.classes.toggle}`);
+    if (button) toggle(button.dataset.profileId);
+  }
+
+  /**
+   * Handle clicks inside the tray
+   * @param {MouseEvent} event
+   */
+  function handleTrayClick(event) {
+    const { selectors, classes } = SHORTLIST_CONFIG;
+
+    const removeButton = event.target.closest(`.${classes.trayRemove}`);
+    if (removeButton) {
+      remove(removeButton.dataset.profileId);
+      return;
+    }
+    if (event.target.closest(selectors.clearButton)) {
+      setSelection([]);
+      return;
+    }
+    const compareButton = event.target.closest(selectors.compareButton);
+    if (compareButton) compare(compareButton);
+  }
+
+  /**
+   * Ask for a quote from the compare table
+   * @param {MouseEvent} event
+   */
+  function handleCompareClick(event) {
+    const button = event.target.closest('.compare__quote');
+    if (!button || !window.Flexiple.quote) return;
+
+    window.Flexiple.quote.open({
+      source: 'compare',
+      profileId: button.dataset.profileId,
+      title: SHORTLIST_CONFIG.labels.quote
+    }, button);
+  }
+
+  /**
+   * Drop saved ids that are not in the loaded data, then sync the UI
+   */
+  function handleProfilesRendered() {
+    const validIds = selectedIds.filter(id => getProfile(id));
+    if (validIds.length !== selectedIds.length) {
+      setSelection(validIds);
+    } else {
+      renderTray();
+    }
+    addToggles();
+  }
+
+  // ==========================================================================
+  // Initialization
+  // ==========================================================================
+
+  /**
+   * Initialize the shortlist
+   */
+  function initShortlist() {
+    if (!container || !window.Flexiple.profiles) return;
+
+    selectedIds = loadSelection();
+
+    container.addEventListener('click', handleContainerClick);
+    container.addEventListener('profiles:rendered', handleProfilesRendered);
+    if (tray) tray.addEventListener('click', handleTrayClick);
+
+    const dialog = window.Flexiple.dialogs && window.Flexiple.dialogs.get(SHORTLIST_CONFIG.dialogName);
+    if (dialog) dialog.root.addEventListener('click', handleCompareClick);
+
+    // Profiles may already be rendered if their data loaded first
+    if (window.Flexiple.profiles.getAll().length > 0) handleProfilesRendered();
+
+    console.log(`Shortlist initialized: ${selectedIds.length} saved`);
+  }
+
+  // Run on DOM ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initShortlist);
+  } else {
+    initShortlist();
+  }
+
+})();
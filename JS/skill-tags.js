@@ -0,0 +1,226 @@
+/**
+ * Skill Tag Overflow
+ *
+ * Features:
+ * 1. Shows only as many `.skill-tag`s as fit in two rows of `.profile-card__skills`
+ * 2. A "+N more" button expands and collapses the rest (aria-expanded)
+ * 3. The `.skill-tag--primary` tag always stays first
+ * 4. Re-measures on debounced resize and when hidden cards become visible
+ */
+
+(function () {
+  'use strict';
+
+  // ==========================================================================
+  // Configuration
+  // ==========================================================================
+
+  const SKILL_TAGS_CONFIG = {
+    maxRows: 2,
+    selectors: {
+      container: '.profile-cards',
+      skills: '.profile-card__skills',
+      tag: '.skill-tag',
+      primaryTag: '.skill-tag--primary'
+    },
+    classes: {
+      toggle: 'skill-tag skill-tag--more'
+    },
+    labels: {
+      more: count => `+${count} more`,
+      moreAriaLabel: count => `Show ${count} more ${count === 1 ? 'skill' : 'skills'}`,
+      less: 'Show less'
+    }
+  };
+
+  // ==========================================================================
+  // State
+  // ==========================================================================
+
+  // One entry per .profile-card__skills element
+  const entries = new Map();
+
+  // ==========================================================================
+  // DOM References
+  // ==========================================================================
+
+  const container = document.querySelector(SKILL_TAGS_CONFIG.selectors.container);
+
+  // ==========================================================================
+  // Layout
+  // ==========================================================================
+
+  /**
+   * Distinct row offsets of a set of elements, top to bottom
+   * @param {HTMLElement[]} elements
+   * @returns {number[]}
+   */
+  function getRowTops(elements) {
+    return Array.from(new Set(elements.map(element => element.offsetTop))).sort((a, b) => a - b);
+  }
+
+  /**
+   * Hide the tags that don't fit, leaving room for the toggle on the last row
+   * @param {Object} entry
+   */
+  function layout(entry) {
+    const { skills, tags, toggle } = entry;
+    const { maxRows, labels } = SKILL_TAGS_CONFIG;
+
+    // Hidden cards have no layout to measure; try again once they're shown
+    const width = skills.clientWidth;
+    if (width === 0) {
+      entry.measuredWidth = 0;
+      return;
+    }
+    entry.measuredWidth = width;
+
+    tags.forEach(tag => {
+      tag.hidden = false;
+    });
+    toggle.hidden = true;
+
+    const rowTops = getRowTops(tags);
+    if (rowTops.length <= maxRows) {
+      entry.isExpanded = false;
+      toggle.removeAttribute('aria-expanded');
+      return;
+    }
+
+    toggle.hidden = false;
+    toggle.setAttribute('aria-expanded', entry.isExpanded.toString());
+
+    if (entry.isExpanded) {
+      toggle.textContent = labels.less;
+      toggle.removeAttribute('aria-label');
+      return;
+    }
+
+    // Tags that start on the rows we keep
+    const lastRowTop = rowTops[maxRows - 1];
+    let visibleCount = tags.filter(tag => tag.offsetTop <= lastRowTop).length;
+
+    const showTags = count => {
+      const hiddenCount = tags.length - count;
+      tags.forEach((tag, index) => {
+        tag.hidden = index >= count;
+      });
+      toggle.textContent = labels.more(hiddenCount);
+      toggle.setAttribute('aria-label', labels.moreAriaLabel(hiddenCount));
+    };
+
+    // Drop tags until the toggle fits on the last kept row (the primary tag always stays)
+    showTags(visibleCount);
+    while (toggle.offsetTop > lastRowTop && visibleCount > 1) {
+      visibleCount -= 1;
+      showTags(visibleCount);
+    }
+  }
+
+  /**
+   * Lay out every visible entry whose width changed since it was last measured
+   * @param {boolean} [force=false] - Re-measure even if the width is unchanged
+   */
+  function refresh(force = false) {
+    entries.forEach(entry => {
+      if (!entry.skills.isConnected) {
+        entries.delete(entry.skills);
+        return;
+      }
+      if (force || entry.skills.clientWidth !== entry.measuredWidth) {
+        layout(entry);
+      }
+    });
+  }
+
+  // ==========================================================================
+  // Setup
+  // ==========================================================================
+
+  /**
+   * Add a toggle to each skills list that doesn't have one yet
+   */
+  function setup() {
+    const { selectors, classes } = SKILL_TAGS_CONFIG;
+
+    container.querySelectorAll(selectors.skills).forEach((skills, index) => {
+      if (entries.has(skills)) return;
+
+      // Primary skill leads the list
+      const primaryTag = skills.querySelector(selectors.primaryTag);
+      if (primaryTag && skills.firstElementChild !== primaryTag) {
+        skills.prepend(primaryTag);
+      }
+
+      if (!skills.id) {
+        const card = skills.closest('[data-profile-id]');
+        skills.id = `skills-${card ? card.dataset.profileId : index}`;
+      }
+
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = classes.toggle;
+      toggle.setAttribute('aria-controls', skills.id);
+      toggle.hidden = true;
+      skills.appendChild(toggle);
+
+      const entry = {
+        skills,
+        tags: Array.from(skills.querySelectorAll(selectors.tag)).filter(tag => tag !== toggle),
+        toggle,
+        isExpanded: false,
+        measuredWidth: 0
+      };
+
+      toggle.addEventListener('click', () => {
+        entry.isExpanded = !entry.isExpanded;
+        layout(entry);
+      });
+
+      entries.set(skills, entry);
+    });
+
+    refresh(true);
+  }
+
+  // ==========================================================================
+  // Public API
+  // ==========================================================================
+
+  window.Flexiple = window.Flexiple || {};
+  window.Flexiple.skillTags = {
+    /** Re-measure every skills list */
+    refresh: () => refresh(true)
+  };
+
+  // ==========================================================================
+  // Initialization
+  // ==========================================================================
+
+  /**
+   * Initialize skill tag overflow handling
+   */
+  function initSkillTags() {
+    if (!container) return;
+
+    container.addEventListener('profiles:rendered', setup);
+    // Cards hidden by filters or pagination are measured once they appear
+    document.addEventListener('profiles:filtered', () => refresh());
+    document.addEventListener('pagination:change', () => refresh());
+
+    window.Flexiple.viewport.onResize(() => refresh());
+
+    // Profiles may already be rendered if their data loaded first
+    setup();
+
+    console.log('Skill tag overflow initialized');
+  }
+
+  // Run on DOM ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initSkillTags);
+  } else {
+    initSkillTags();
+  }
+
+})();
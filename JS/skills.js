@@ -0,0 +1,224 @@
+/**
+ * Skill Taxonomy & Skill Links
+ *
+ * Features:
+ * 1. One list of skills with their aliases ("VueJS" -> "Vue.js",
+ *    "ASP .NET" -> "ASP.NET", "Python (Programming Language)" -> "Python")
+ * 2. Flexiple.skills.normalise() for the filters, sort and any other module
+ *    comparing skill names
+ * 3. Mega menu `.pill`s, talent pool links and profile card `.skill-tag`s
+ *    naming a known skill apply it as the Skills filter and scroll to the
+ *    profiles list
+ * 4. Skill links point to `?skills=<skill>`, so they also work when opened in
+ *    a new tab
+ */
+
+(function () {
+  'use strict';
+
+  // ==========================================================================
+  // Configuration
+  // ==========================================================================
+
+  const SKILLS_CONFIG = {
+    filterName: 'skills',
+    selectors: {
+      link: '.pill, .talent-pool__link',
+      skillTag: '.profile-card .skill-tag[data-skill]',
+      scrollTarget: '#profiles-heading'
+    },
+    classes: {
+      link: 'skill-link'
+    }
+  };
+
+  /**
+   * Canonical skill names and the other ways they are written.
+   * Role names like "Frontend" or "Mobile" are deliberately not skills.
+   */
+  const SKILL_TAXONOMY = [
+    { name: '.NET', aliases: ['dotnet', 'dot net'] },
+    { name: 'Agile Software Development', aliases: ['Agile'] },
+    { name: 'Algorithms', aliases: [] },
+    { name: 'Android', aliases: [] },
+    { name: 'Angular', aliases: ['AngularJS', 'Angular.js'] },
+    { name: 'Apache Kafka', aliases: ['Kafka'] },
+    { name: 'API', aliases: ['APIs', 'REST API'] },
+    { name: 'ASP.NET', aliases: ['ASP .NET', 'ASPNET'] },
+    { name: 'AWS', aliases: ['Amazon Web Services', 'Amazon Web Services (AWS)'] },
+    { name: 'Azure', aliases: ['Microsoft Azure'] },
+    { name: 'Blockchain', aliases: [] },
+    { name: 'C#', aliases: ['C Sharp', 'CSharp'] },
+    { name: 'C++', aliases: ['CPP'] },
+    { name: 'CSS', aliases: ['CSS3', 'Cascading Style Sheets', 'Cascading Style Sheets (CSS)'] },
+    { name: 'DevOps', aliases: [] },
+    { name: 'Django', aliases: [] },
+    { name: 'Docker', aliases: [] },
+    { name: 'Elasticsearch', aliases: ['Elastic Search'] },
+    { name: 'Express.js', aliases: ['ExpressJS', 'Express'] },
+    { name: 'Flutter', aliases: [] },
+    { name: 'Git', aliases: [] },
+    { name: 'GitHub', aliases: [] },
+    { name: 'Go', aliases: ['Golang'] },
+    { name: 'Google Cloud', aliases: ['GCP', 'Google Cloud Platform'] },
+    { name: 'GraphQL', aliases: [] },
+    { name: 'HTML', aliases: ['HTML5'] },
+    { name: 'iOS', aliases: [] },
+    { name: 'Ionic', aliases: [] },
+    { name: 'Java', aliases: [] },
+    { name: 'JavaScript', aliases: ['JS'] },
+    { name: 'Kotlin', aliases: [] },
+    { name: 'Kubernetes', aliases: ['K8s'] },
+    { name: 'LAMP', aliases: [] },
+    { name: 'Laravel', aliases: [] },
+    { name: 'Microservices', aliases: [] },
+    { name: 'MongoDB', aliases: ['Mongo'] },
+    { name: 'Node.js', aliases: ['NodeJS', 'Node'] },
+    { name: 'NoSQL', aliases: [] },
+    { name: 'PHP', aliases: [] },
+    { name: 'PostgreSQL', aliases: ['Postgres'] },
+    { name: 'Python', aliases: ['Python (Programming Language)'] },
+    { name: 'React Native', aliases: [] },
+    { name: 'React.js', aliases: ['ReactJS', 'React'] },
+    { name: 'Redis', aliases: [] },
+    { name: 'Ruby', aliases: [] },
+    { name: 'Ruby on Rails', aliases: ['Rails', 'RoR'] },
+    { name: 'Smart Contracts', aliases: [] },
+    { name: 'Spring', aliases: [] },
+    { name: 'Spring Boot', aliases: [] },
+    { name: 'SQL', aliases: [] },
+    { name: 'Swift', aliases: [] },
+    { name: 'TypeScript', aliases: ['TS'] },
+    { name: 'Vue.js', aliases: ['VueJS', 'Vue'] },
+    { name: 'Xamarin', aliases: [] }
+  ];
+
+  // ==========================================================================
+  // Taxonomy
+  // ==========================================================================
+
+  /**
+   * Lookup key that ignores case and spacing ("ASP .NET" === "asp.net")
+   * @param {string} label
+   * @returns {string}
+   */
+  function toKey(label) {
+    return String(label).toLowerCase().replace(/\s+/g, '');
+  }
+
+  // Canonical name by key, for names and aliases alike
+  const canonicalByKey = new Map();
+  SKILL_TAXONOMY.forEach(skill => {
+    [skill.name, ...skill.aliases].forEach(label => canonicalByKey.set(toKey(label), skill.name));
+  });
+
+  /**
+   * Canonical name of a known skill
+   * @param {string} label
+   * @returns {string|null} null when the label isn't in the taxonomy
+   */
+  function find(label) {
+    return canonicalByKey.get(toKey(label)) || null;
+  }
+
+  /**
+   * Canonical name of a skill, or the trimmed label for unknown skills
+   * @param {string} label
+   * @returns {string}
+   */
+  function normalise(label) {
+    return find(label) || String(label).trim();
+  }
+
+  // ==========================================================================
+  // Skill Links
+  // ==========================================================================
+
+  /**
+   * Apply a skill as the only Skills filter and bring the results into view
+   * @param {string} label - Any spelling of the skill
+   */
+  function showDevelopersWith(label) {
+    if (!window.Flexiple.filters) return;
+
+    window.Flexiple.filters.setSelected(SKILLS_CONFIG.filterName, [normalise(label)]);
+
+    const target = document.querySelector(SKILLS_CONFIG.selectors.scrollTarget);
+    if (!target) return;
+
+    target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    // Move keyboard users along with the scroll
+    if (!target.hasAttribute('tabindex')) target.setAttribute('tabindex', '-1');
+    target.focus({ preventScroll: true });
+  }
+
+  /**
+   * Turn links naming a known skill into skill links. A link's data-skill
+   * wins over its text, for labels like "Hire Python Developers".
+   * @param {ParentNode} [root=document]
+   */
+  function enhance(root = document) {
+    const { selectors, classes } = SKILLS_CONFIG;
+
+    root.querySelectorAll(selectors.link).forEach(link => {
+      const skill = find(link.dataset.skill || link.textContent);
+      if (!skill) return;
+
+      link.dataset.skill = skill;
+      link.href = `?${SKILLS_CONFIG.filterName}=${encodeURIComponent(skill)}`;
+      link.classList.add(classes.link);
+    });
+  }
+
+  /**
+   * Handle clicks on any skill link or card skill tag
+   * @param {MouseEvent} event
+   */
+  function handleClick(event) {
+    const { selectors, classes } = SKILLS_CONFIG;
+    const link = event.target.closest(`.${classes.link}[data-skill], ${selectors.skillTag}`);
+    if (!link) return;
+
+    // Let modified clicks open the ?skills= link in a new tab
+    if (link.tagName === 'A' && (event.metaKey || event.ctrlKey || event.shiftKey || event.button !== 0)) return;
+
+    event.preventDefault();
+    showDevelopersWith(link.dataset.skill);
+  }
+
+  // ==========================================================================
+  // Public API
+  // ==========================================================================
+
+  window.Flexiple = window.Flexiple || {};
+  window.Flexiple.skills = {
+    find,
+    normalise,
+    showDevelopersWith,
+    enhance,
+    /** @returns {string[]} Every canonical skill name */
+    getAll: () => SKILL_TAXONOMY.map(skill => skill.name)
+  };
+
+  // ==========================================================================
+  // Initialization
+  // ==========================================================================
+
+  /**
+   * Initialize skill links
+   */
+  function initSkillLinks() {
+    enhance();
+    document.addEventListener('click', handleClick);
+
+    console.log(`Skill taxonomy initialized: ${SKILL_TAXONOMY.length} skills`);
+  }
+
+  // Run on DOM ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initSkillLinks);
+  } else {
+    initSkillLinks();
+  }
+
+})();
@@ -0,0 +1,265 @@
+/**
+ * Profile Sorting
+ *
+ * Features:
+ * 1. Sort control next to the filters (relevance, experience, CTC, best skill match)
+ *    "Best skill match" ranks developers whose skill set centres on the
+ *    selected skills first; it is only offered while skills are selected
+ * 2. Compares the structured `experience` / `ctc` values from the profile data
+ * 3. Reorders the cards through Flexiple.profiles.setSort
+ * 4. FLIP animation between the old and new card positions
+ * 5. Respects prefers-reduced-motion
+ */
+
+(function () {
+  'use strict';
+
+  // ==========================================================================
+  // Configuration
+  // ==========================================================================
+
+  const SORT_CONFIG = {
+    defaultSort: 'relevance',
+    animationDuration: 300,
+    selectors: {
+      wrapper: '.sort',
+      select: '.sort__select',
+      container: '.profile-cards',
+      visibleCard: '.profile-card:not([hidden])'
+    },
+    skillMatch: 'skill-match',
+    events: {
+      change: 'sort:change',
+      filtersChange: 'filters:change'
+    }
+  };
+
+  /**
+   * Skills selected in the Skills filter
+   * @returns {string[]}
+   */
+  function getSelectedSkills() {
+    return window.Flexiple.filters ? window.Flexiple.filters.getSelected().skills || [] : [];
+  }
+
+  /**
+   * How closely a profile centres on the selected skills. The Skills filter
+   * already requires every selected skill, so rank by focus instead: a selected
+   * primary skill counts most, then the share of the profile's skills that
+   * were selected (a specialist beats a generalist who also lists them).
+   * @param {Object} profile
+   * @returns {number} 0 when no skills are selected
+   */
+  function skillMatchScore(profile) {
+    const selectedSkills = getSelectedSkills();
+    if (selectedSkills.length === 0) return 0;
+
+    const normalise = window.Flexiple.skills ? window.Flexiple.skills.normalise : skill => skill;
+    const primarySkill = normalise(profile.primarySkill);
+    const skills = Array.from(new Set([primarySkill, ...profile.skills.map(normalise)]));
+    const matched = selectedSkills.filter(skill => skills.includes(skill)).length;
+
+    return (selectedSkills.includes(primarySkill) ? 1 : 0) + matched / skills.length;
+  }
+
+  /**
+   * Search score of a profile from the developer search, if loaded
+   * @param {Object} profile
+   * @returns {number} 0 when not searching
+   */
+  function searchScore(profile) {
+    return window.Flexiple.profileSearch ? window.Flexiple.profileSearch.getScore(profile) : 0;
+  }
+
+  /**
+   * Sort options in menu order
+   */
+  const SORT_OPTIONS = [
+    {
+      value: 'relevance',
+      label: 'Relevance',
+      // Best search matches first; dataset order when not searching (the sort is stable)
+      compare: (a, b) => searchScore(b) - searchScore(a)
+    },
+    { value: 'experience-desc', label: 'Experience: high to low', compare: (a, b) => b.experience - a.experience },
+    { value: 'experience-asc', label: 'Experience: low to high', compare: (a, b) => a.experience - b.experience },
+    { value: 'ctc-asc', label: 'CTC: low to high', compare: (a, b) => a.ctc - b.ctc },
+    { value: 'ctc-desc', label: 'CTC: high to low', compare: (a, b) => b.ctc - a.ctc },
+    {
+      value: SORT_CONFIG.skillMatch,
+      label: 'Best skill match',
+      compare: (a, b) => skillMatchScore(b) - skillMatchScore(a)
+    }
+  ];
+
+  // ==========================================================================
+  // State
+  // ==========================================================================
+
+  let currentSort = SORT_CONFIG.defaultSort;
+
+  // ==========================================================================
+  // DOM References
+  // ==========================================================================
+
+  const wrapper = document.querySelector(SORT_CONFIG.selectors.wrapper);
+  const select = document.querySelector(SORT_CONFIG.selectors.select);
+  const container = document.querySelector(SORT_CONFIG.selectors.container);
+
+  // ==========================================================================
+  // Utility Functions
+  // ==========================================================================
+
+  /**
+   * Check if the user prefers reduced motion
+   * @returns {boolean}
+   */
+  function prefersReducedMotion() {
+    return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
+
+  /**
+   * Find a sort option by value
+   * @param {string} value
+   * @returns {Object|undefined}
+   */
+  function getOption(value) {
+    return SORT_OPTIONS.find(option => option.value === value);
+  }
+
+  // ==========================================================================
+  // FLIP Animation
+  // ==========================================================================
+
+  /**
+   * Animate visible cards from their old to their new positions.
+   * First: measure, Last: mutate and measure, Invert + Play: animate the delta.
+   * @param {Function} mutate - Performs the DOM change
+   */
+  function flip(mutate) {
+    const first = new Map();
+    container.querySelectorAll(SORT_CONFIG.selectors.visibleCard).forEach(card => {
+      first.set(card, card.getBoundingClientRect());
+    });
+
+    mutate();
+
+    if (prefersReducedMotion()) return;
+
+    const timing = { duration: SORT_CONFIG.animationDuration, easing: 'cubic-bezier(0.2, 0, 0, 1)' };
+
+    container.querySelectorAll(SORT_CONFIG.selectors.visibleCard).forEach(card => {
+      if (typeof card.animate !== 'function') return;
+
+      const before = first.get(card);
+      if (!before) {
+        // Card was not visible before: fade it in
+        card.animate([{ opacity: 0 }, { opacity: 1 }], timing);
+        return;
+      }
+
+      const after = card.getBoundingClientRect();
+      const deltaX = before.left - after.left;
+      const deltaY = before.top - after.top;
+      if (deltaX === 0 && deltaY === 0) return;
+
+      card.animate([
+        { transform: `translate(${deltaX}px, ${deltaY}px)` },
+        { transform: 'none' }
+      ], timing);
+    });
+  }
+
+  // ==========================================================================
+  // Sorting
+  // ==========================================================================
+
+  /**
+   * Apply a sort option. Unknown values, and Best skill match while no skills
+   * are selected (e.g. from a shared URL), fall back to the default sort.
+   * @param {string} value - One of SORT_OPTIONS[].value
+   */
+  function setSort(value) {
+    const isUnavailable = value === SORT_CONFIG.skillMatch && getSelectedSkills().length === 0;
+    const option = (!isUnavailable && getOption(value)) || getOption(SORT_CONFIG.defaultSort);
+    if (option.value === currentSort) return;
+
+    currentSort = option.value;
+    if (select) select.value = currentSort;
+
+    flip(() => window.Flexiple.profiles.setSort(option.compare));
+
+    document.dispatchEvent(new CustomEvent(SORT_CONFIG.events.change, {
+      detail: { sort: currentSort }
+    }));
+  }
+
+  /**
+   * Build the <option> elements
+   */
+  function renderOptions() {
+    select.innerHTML = '';
+    SORT_OPTIONS.forEach(option => {
+      const element = document.createElement('option');
+      element.value = option.value;
+      element.textContent = option.label;
+      select.appendChild(element);
+    });
+    select.value = currentSort;
+    updateSkillMatchOption();
+  }
+
+  /**
+   * Offer "Best skill match" only while skills are selected, leaving it
+   * for the default sort once they are cleared
+   */
+  function updateSkillMatchOption() {
+    const hasSkills = getSelectedSkills().length > 0;
+    const option = select.querySelector(`option[value="${SORT_CONFIG.skillMatch}"]`);
+    if (option) option.disabled = !hasSkills;
+
+    if (!hasSkills && currentSort === SORT_CONFIG.skillMatch) {
+      setSort(SORT_CONFIG.defaultSort);
+    }
+  }
+
+  // ==========================================================================
+  // Public API
+  // ==========================================================================
+
+  window.Flexiple = window.Flexiple || {};
+  window.Flexiple.sort = {
+    setSort,
+    /** @returns {string} Active sort value */
+    getSort: () => currentSort,
+    /** @returns {string} Sort used when nothing is selected */
+    getDefault: () => SORT_CONFIG.defaultSort
+  };
+
+  // ==========================================================================
+  // Initialization
+  // ==========================================================================
+
+  /**
+   * Initialize the sort control
+   */
+  function initSort() {
+    if (!select || !container || !window.Flexiple.profiles) return;
+
+    renderOptions();
+    window.Flexiple.profiles.setSort(getOption(currentSort).compare);
+    select.addEventListener('change', () => setSort(select.value));
+    document.addEventListener(SORT_CONFIG.events.filtersChange, updateSkillMatchOption);
+    if (wrapper) wrapper.hidden = false;
+
+    console.log('Profile sorting initialized');
+  }
+
+  // Run on DOM ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initSort);
+  } else {
+    initSort();
+  }
+
+})();
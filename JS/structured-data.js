@@ -0,0 +1,470 @@
+/**
+ * Structured Data
+ *
+ * Builds schema.org JSON-LD from what the page already shows, so search
+ * engines can offer rich results.
+ *
+ * Features:
+ * 1. FAQPage from every FAQ list (question button + the answer it controls)
+ * 2. BreadcrumbList from the `.breadcrumb` nav
+ * 3. Service (hiring developers, provided by Flexiple) with an
+ *    AggregateRating from the hero review line, and a Review per testimonial
+ *    that carries a star rating (`data-rating`); carousel clones are skipped
+ * 4. ItemList of the developer profiles, rebuilt whenever they render
+ * 5. Validation: a console warning for every required field that is missing,
+ *    for every testimonial left out for lack of a rating, and for ratings
+ *    placed on the site's own Organization (self-serving reviews aren't
+ *    eligible for review snippets)
+ *
+ * Each block lives in its own <script type="application/ld+json"> in <head>
+ * and is replaced in place when rebuilt.
+ */
+
+(function () {
+  'use strict';
+
+  // ==========================================================================
+  // Configuration
+  // ==========================================================================
+
+  const STRUCTURED_DATA_CONFIG = {
+    context: 'https://schema.org',
+    organization: 'Flexiple',
+    // Attribute naming each injected <script>
+    attribute: 'data-structured-data',
+    selectors: {
+      canonical: 'link[rel="canonical"]',
+      faqList: '.faq__list',
+      faqItem: '.faq__item, .faq__question-wrapper',
+      question: '.faq__question',
+      questionText: '.faq__question-text',
+      breadcrumb: '.breadcrumb',
+      breadcrumbItem: '.breadcrumb__link, .breadcrumb__current',
+      review: '.hero__review',
+      rating: '.hero__rating',
+      testimonial: '.testimonials__highlight, .testimonial-card:not(.carousel__clone)',
+      testimonialQuote: '.highlight-quote, .testimonial-card__quote',
+      testimonialName: '.highlight-name, .testimonial-card__name',
+      testimonialRole: '.highlight-role, .testimonial-card__role',
+      // Decorative characters that aren't part of the text
+      decoration: '.highlight-icon'
+    },
+    patterns: {
+      // "4.9 / 5" in the hero review line, or "4.9 out of 5" in the stars' label
+      rating: /(\d+(?:\.\d+)?)\s*(?:\/|out of)\s*(\d+(?:\.\d+)?)/,
+      reviewCount: /based on ([\d,]+) reviews/i
+    },
+    labels: {
+      home: 'Home',
+      developers: 'GCC recruitment agency developers',
+      jobTitle: skill => `${skill} Developer`,
+      bestRating: 5
+    },
+    // Fields each type must have; "a|b" means either one
+    required: {
+      FAQPage: ['mainEntity'],
+      Question: ['name', 'acceptedAnswer'],
+      Answer: ['text'],
+      BreadcrumbList: ['itemListElement'],
+      ListItem: ['position', 'name|item'],
+      Organization: ['name'],
+      Service: ['name', 'provider'],
+      AggregateRating: ['ratingValue', 'ratingCount|reviewCount'],
+      Review: ['author', 'reviewBody', 'reviewRating'],
+      Rating: ['ratingValue'],
+      Person: ['name'],
+      ItemList: ['itemListElement']
+    },
+    events: {
+      rendered: 'profiles:rendered'
+    }
+  };
+
+  // ==========================================================================
+  // Utility Functions
+  // ==========================================================================
+
+  /**
+   * Text of an element with whitespace collapsed, leaving out decorations
+   * @param {Element|null} element
+   * @returns {string}
+   */
+  function getText(element) {
+    if (!element) return '';
+
+    const copy = element.cloneNode(true);
+    copy.querySelectorAll(STRUCTURED_DATA_CONFIG.selectors.decoration).forEach(node => node.remove());
+    return copy.textContent.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Address of this page without hash or query
+   * @returns {string}
+   */
+  function getPageUrl() {
+    const canonical = document.querySelector(STRUCTURED_DATA_CONFIG.selectors.canonical);
+    const url = new URL(canonical ? canonical.href : window.location.href);
+    url.hash = '';
+    url.search = '';
+    return url.href;
+  }
+
+  /**
+   * Address of the site's home page
+   * @returns {string}
+   */
+  function getSiteUrl() {
+    return new URL('/', window.location.href).href;
+  }
+
+  /**
+   * Absolute URL of a link; placeholder "#" links have none
+   * @param {HTMLAnchorElement} link
+   * @returns {string|null}
+   */
+  function getLinkUrl(link) {
+    const href = link.getAttribute('href');
+    if (!href || href === '#') return null;
+    return new URL(href, window.location.href).href;
+  }
+
+  /**
+   * Parse "10,587" as 10587
+   * @param {string} value
+   * @returns {number}
+   */
+  function parseCount(value) {
+    return Number(value.replace(/,/g, ''));
+  }
+
+  // ==========================================================================
+  // Builders
+  // ==========================================================================
+
+  /**
+   * FAQPage from every FAQ list on the page
+   * @returns {Object|null}
+   */
+  function buildFaqPage() {
+    const { selectors } = STRUCTURED_DATA_CONFIG;
+    const questions = [];
+
+    document.querySelectorAll(selectors.faqList).forEach(list => {
+      list.querySelectorAll(selectors.faqItem).forEach(item => {
+        const question = item.querySelector(selectors.question);
+        if (!question) return;
+
+        const answerId = question.getAttribute('aria-controls');
+        const answer = answerId && document.getElementById(answerId);
+
+        questions.push({
+          '@type': 'Question',
+          name: getText(question.querySelector(selectors.questionText) || question),
+          acceptedAnswer: {
+            '@type': 'Answer',
+            text: getText(answer)
+          }
+        });
+      });
+    });
+
+    if (questions.length === 0) return null;
+
+    return {
+      '@context': STRUCTURED_DATA_CONFIG.context,
+      '@type': 'FAQPage',
+      mainEntity: questions
+    };
+  }
+
+  /**
+   * BreadcrumbList from the breadcrumb nav; the last crumb is this page
+   * @returns {Object|null}
+   */
+  function buildBreadcrumbs() {
+    const { selectors, labels } = STRUCTURED_DATA_CONFIG;
+    const nav = document.querySelector(selectors.breadcrumb);
+    if (!nav) return null;
+
+    const crumbs = Array.from(nav.querySelectorAll(selectors.breadcrumbItem));
+    if (crumbs.length === 0) return null;
+
+    return {
+      '@context': STRUCTURED_DATA_CONFIG.context,
+      '@type': 'BreadcrumbList',
+      itemListElement: crumbs.map((crumb, index) => {
+        const isLast = index === crumbs.length - 1;
+        // The first crumb is the home icon, which stands for the site root
+        const url = crumb.tagName === 'A' ? getLinkUrl(crumb) || (index === 0 ? getSiteUrl() : null) : null;
+        const name = getText(crumb) || crumb.getAttribute('aria-label') || (index === 0 ? labels.home : '');
+
+        const listItem = { '@type': 'ListItem', position: index + 1, name };
+        if (url || isLast) listItem.item = url || getPageUrl();
+        return listItem;
+      })
+    };
+  }
+
+  /**
+   * AggregateRating from the hero's review line
+   * @returns {Object|null}
+   */
+  function buildAggregateRating() {
+    const { selectors, patterns } = STRUCTURED_DATA_CONFIG;
+    const reviewText = getText(document.querySelector(selectors.review));
+    const ratingElement = document.querySelector(selectors.rating);
+    const ratingText = reviewText || (ratingElement ? ratingElement.getAttribute('aria-label') : '');
+
+    const rating = ratingText.match(patterns.rating);
+    if (!rating) return null;
+
+    const aggregateRating = {
+      '@type': 'AggregateRating',
+      ratingValue: Number(rating[1]),
+      bestRating: Number(rating[2]),
+      worstRating: 1
+    };
+
+    const count = reviewText.match(patterns.reviewCount);
+    if (count) aggregateRating.ratingCount = parseCount(count[1]);
+
+    return aggregateRating;
+  }
+
+  /**
+   * Review per testimonial with a star rating. Unrated testimonials can't
+   * form a valid Review, so each one is left out with a warning.
+   * @returns {Object[]}
+   */
+  function buildReviews() {
+    const { selectors, labels } = STRUCTURED_DATA_CONFIG;
+
+    return Array.from(document.querySelectorAll(selectors.testimonial)).filter(testimonial => {
+      const { rating } = testimonial.dataset;
+      if (rating && !Number.isNaN(Number(rating))) return true;
+
+      const name = getText(testimonial.querySelector(selectors.testimonialName)) || 'a testimonial';
+      console.warn(`Structured data (service): Review by ${name} left out, it needs a numeric data-rating for "reviewRating"`);
+      return false;
+    }).map(testimonial => {
+      const author = {
+        '@type': 'Person',
+        name: getText(testimonial.querySelector(selectors.testimonialName))
+      };
+      const role = getText(testimonial.querySelector(selectors.testimonialRole));
+      if (role) author.jobTitle = role;
+
+      return {
+        '@type': 'Review',
+        author,
+        // Drop the typographic quotes around the quote
+        reviewBody: getText(testimonial.querySelector(selectors.testimonialQuote)).replace(/^["“]|["”:]+$/g, '').trim(),
+        reviewRating: {
+          '@type': 'Rating',
+          ratingValue: Number(testimonial.dataset.rating),
+          bestRating: labels.bestRating
+        }
+      };
+    });
+  }
+
+  /**
+   * The hiring service the ratings are about. Reviews can't sit on the site's
+   * own Organization, so Flexiple is only the provider.
+   * @returns {Object|null}
+   */
+  function buildService() {
+    const aggregateRating = buildAggregateRating();
+    const reviews = buildReviews();
+    if (!aggregateRating && reviews.length === 0) return null;
+
+    const service = {
+      '@context': STRUCTURED_DATA_CONFIG.context,
+      '@type': 'Service',
+      name: STRUCTURED_DATA_CONFIG.labels.developers,
+      url: getPageUrl(),
+      provider: {
+        '@type': 'Organization',
+        name: STRUCTURED_DATA_CONFIG.organization,
+        url: getSiteUrl()
+      }
+    };
+    if (aggregateRating) service.aggregateRating = aggregateRating;
+    if (reviews.length > 0) service.review = reviews;
+
+    return service;
+  }
+
+  /**
+   * ItemList of the developer profiles
+   * @returns {Object|null}
+   */
+  function buildDeveloperList() {
+    const profiles = window.Flexiple.profiles ? window.Flexiple.profiles.getAll() : [];
+    if (profiles.length === 0) return null;
+
+    const { labels } = STRUCTURED_DATA_CONFIG;
+
+    return {
+      '@context': STRUCTURED_DATA_CONFIG.context,
+      '@type': 'ItemList',
+      name: labels.developers,
+      numberOfItems: profiles.length,
+      itemListElement: profiles.map((profile, index) => {
+        const person = { '@type': 'Person', name: profile.name };
+        if (profile.primarySkill) person.jobTitle = labels.jobTitle(profile.primarySkill);
+        person.knowsAbout = profile.skills;
+
+        return { '@type': 'ListItem', position: index + 1, item: person };
+      })
+    };
+  }
+
+  // Builders by block name, in the order the blocks are added to <head>
+  const BUILDERS = {
+    faq: buildFaqPage,
+    breadcrumbs: buildBreadcrumbs,
+    service: buildService,
+    developers: buildDeveloperList
+  };
+
+  // ==========================================================================
+  // Validation
+  // ==========================================================================
+
+  /**
+   * Whether a field holds something
+   * @param {*} value
+   * @returns {boolean}
+   */
+  function hasValue(value) {
+    if (value === null || value === undefined) return false;
+    if (typeof value === 'string') return value.trim() !== '';
+    if (typeof value === 'number') return !Number.isNaN(value);
+    if (Array.isArray(value)) return value.length > 0;
+    return true;
+  }
+
+  /**
+   * Check every typed node for its required fields
+   * @param {Object} data - JSON-LD object
+   * @param {string} [path] - Where the node sits, for messages
+   * @returns {string[]} Problems found
+   */
+  function validate(data, path = data['@type']) {
+    const problems = [];
+    const required = STRUCTURED_DATA_CONFIG.required[data['@type']] || [];
+
+    required.forEach(field => {
+      const options = field.split('|');
+      if (!options.some(option => hasValue(data[option]))) {
+        problems.push(`${path} is missing "${options.join('" or "')}"`);
+      }
+    });
+
+    if (data['@type'] === 'AggregateRating' && hasValue(data.ratingValue)) {
+      const best = hasValue(data.bestRating) ? data.bestRating : 5;
+      if (data.ratingValue > best) problems.push(`${path}.ratingValue is above bestRating`);
+    }
+
+    // Every crumb but the last (this page) must link somewhere
+    if (data['@type'] === 'BreadcrumbList' && Array.isArray(data.itemListElement)) {
+      data.itemListElement.slice(0, -1).forEach((crumb, index) => {
+        if (!hasValue(crumb.item)) problems.push(`${path}.itemListElement[${index}] is missing "item"`);
+      });
+    }
+
+    if (data['@type'] === 'Organization' && (hasValue(data.review) || hasValue(data.aggregateRating))) {
+      problems.push(`${path} has its own reviews or rating, which aren't eligible for review snippets`);
+    }
+
+    Object.keys(data).forEach(key => {
+      const value = data[key];
+      const children = Array.isArray(value) ? value : [value];
+
+      children.forEach((child, index) => {
+        if (!child || typeof child !== 'object' || !child['@type']) return;
+        const childPath = Array.isArray(value) ? `${path}.${key}[${index}]` : `${path}.${key}`;
+        problems.push(...validate(child, childPath));
+      });
+    });
+
+    return problems;
+  }
+
+  // ==========================================================================
+  // Rendering
+  // ==========================================================================
+
+  /**
+   * Build, validate and write one block (or remove it when there's no data)
+   * @param {string} name - Key of BUILDERS
+   */
+  function update(name) {
+    const { attribute } = STRUCTURED_DATA_CONFIG;
+    let script = document.head.querySelector(`script[${attribute}="${name}"]`);
+    const data = BUILDERS[name]();
+
+    if (!data) {
+      if (script) script.remove();
+      return;
+    }
+
+    validate(data).forEach(problem => {
+      console.warn(`Structured data (${name}): ${problem}`);
+    });
+
+    if (!script) {
+      script = document.createElement('script');
+      script.type = 'application/ld+json';
+      script.setAttribute(attribute, name);
+      document.head.appendChild(script);
+    }
+    script.textContent = JSON.stringify(data);
+  }
+
+  /**
+   * Rebuild every block
+   */
+  function refresh() {
+    Object.keys(BUILDERS).forEach(update);
+  }
+
+  // ==========================================================================
+  // Public API
+  // ==========================================================================
+
+  window.Flexiple = window.Flexiple || {};
+  window.Flexiple.structuredData = {
+    refresh,
+    validate,
+    /**
+     * The current JSON-LD for a block
+     * @param {'faq' | 'breadcrumbs' | 'service' | 'developers'} name
+     * @returns {Object|null}
+     */
+    get: name => (BUILDERS[name] ? BUILDERS[name]() : null)
+  };
+
+  // ==========================================================================
+  // Initialization
+  // ==========================================================================
+
+  /**
+   * Write every block and keep the developer list in step with the cards
+   */
+  function initStructuredData() {
+    refresh();
+    document.addEventListener(STRUCTURED_DATA_CONFIG.events.rendered, () => update('developers'));
+
+    console.log('Structured data initialized');
+  }
+
+  // Run on DOM ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initStructuredData);
+  } else {
+    initStructuredData();
+  }
+
+})();
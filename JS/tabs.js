@@ -0,0 +1,288 @@
+/**
+ * Tabs
+ *
+ * WAI-ARIA tabs. Every `[data-tabs]` element on the page is initialized
+ * automatically; other code reaches it through `Flexiple.tabs.get(name)`.
+ *
+ * Features:
+ * 1. role="tablist" / "tab" / "tabpanel" wiring with aria-selected,
+ *    aria-controls and aria-labelledby
+ * 2. Roving tabindex: only the selected tab is in the tab order
+ * 3. ArrowLeft / ArrowRight (ArrowUp / ArrowDown when aria-orientation is
+ *    vertical) move between tabs and wrap; Home / End jump to the ends
+ * 4. Selection follows focus, or waits for Enter / Space with
+ *    data-tabs-activation="manual"
+ * 5. Bubbling `tabs:change` event with `isFirstShow`, so panels can be
+ *    rendered lazily the first time they are shown
+ *
+ * Markup:
+ *   <div data-tabs="name">
+ *     <div role="tablist" aria-label="...">
+ *       <button role="tab" aria-controls="panel-a" aria-selected="true">A</button>
+ *       <button role="tab" aria-controls="panel-b">B</button>
+ *     </div>
+ *     <div role="tabpanel" id="panel-a">…</div>
+ *     <div role="tabpanel" id="panel-b" hidden>…</div>
+ *   </div>
+ */
+
+(function () {
+  'use strict';
+
+  // ==========================================================================
+  // Configuration
+  // ==========================================================================
+
+  const TABS_CONFIG = {
+    selectors: {
+      tablist: '[role="tablist"]',
+      tab: '[role="tab"]'
+    },
+    keys: {
+      horizontal: { previous: 'ArrowLeft', next: 'ArrowRight' },
+      vertical: { previous: 'ArrowUp', next: 'ArrowDown' }
+    },
+    events: {
+      change: 'tabs:change'
+    }
+  };
+
+  // Live instances, keyed by data-tabs name
+  const instances = new Map();
+
+  // Used for tabs and panels without an id
+  let idCounter = 0;
+
+  // ==========================================================================
+  // Tabs
+  // ==========================================================================
+
+  class Tabs {
+    /**
+     * @param {HTMLElement} root - Element containing the tablist and its panels
+     */
+    constructor(root) {
+      this.root = root;
+      this.tablist = root.querySelector(TABS_CONFIG.selectors.tablist);
+      this.tabs = this.tablist
+        ? Array.from(this.tablist.querySelectorAll(TABS_CONFIG.selectors.tab))
+        : [];
+      this.panels = this.tabs.map(tab => document.getElementById(tab.getAttribute('aria-controls')));
+      this.isManual = root.dataset.tabsActivation === 'manual';
+      this.selectedIndex = -1;
+      // Panels that have been shown at least once
+      this.shownPanels = new Set();
+      this.listeners = new AbortController();
+
+      this.init();
+
+      // Named instances are reachable through Flexiple.tabs
+      const name = root.dataset.tabs;
+      if (name && !instances.has(name)) instances.set(name, this);
+    }
+
+    // ========================================================================
+    // Public API
+    // ========================================================================
+
+    /**
+     * @returns {HTMLElement|null} The selected tab
+     */
+    get selectedTab() {
+      return this.tabs[this.selectedIndex] || null;
+    }
+
+    /**
+     * @returns {HTMLElement|null} The panel of the selected tab
+     */
+    get selectedPanel() {
+      return this.panels[this.selectedIndex] || null;
+    }
+
+    /**
+     * Select a tab and show its panel
+     * @param {number|string|HTMLElement} target - Index, tab id, panel id or tab element
+     * @param {Object} [options]
+     * @param {boolean} [options.focus=false] - Move focus to the tab
+     */
+    select(target, { focus = false } = {}) {
+      const index = this.indexOf(target);
+      if (index === -1) return;
+
+      if (focus) this.tabs[index].focus();
+      if (index === this.selectedIndex) return;
+
+      this.selectedIndex = index;
+      this.tabs.forEach((tab, tabIndex) => {
+        const isSelected = tabIndex === index;
+        tab.setAttribute('aria-selected', isSelected.toString());
+        tab.tabIndex = isSelected ? 0 : -1;
+        if (this.panels[tabIndex]) this.panels[tabIndex].hidden = !isSelected;
+      });
+
+      const panel = this.panels[index];
+      const isFirstShow = !this.shownPanels.has(panel);
+      this.shownPanels.add(panel);
+
+      this.root.dispatchEvent(new CustomEvent(TABS_CONFIG.events.change, {
+        bubbles: true,
+        detail: { tabs: this, index, tab: this.tabs[index], panel, isFirstShow }
+      }));
+    }
+
+    /**
+     * Remove listeners; the current selection stays in place
+     */
+    destroy() {
+      this.listeners.abort();
+
+      const name = this.root.dataset.tabs;
+      if (name && instances.get(name) === this) {
+        instances.delete(name);
+      }
+    }
+
+    // ========================================================================
+    // Helpers
+    // ========================================================================
+
+    /**
+     * Resolve an index, tab id, panel id or tab element to a tab index
+     * @param {number|string|HTMLElement} target
+     * @returns {number} -1 when there is no such tab
+     */
+    indexOf(target) {
+      if (typeof target === 'number') {
+        return target >= 0 && target < this.tabs.length ? target : -1;
+      }
+      if (typeof target === 'string') {
+        return this.tabs.findIndex((tab, index) =>
+          tab.id === target || (this.panels[index] && this.panels[index].id === target));
+      }
+      return this.tabs.indexOf(target);
+    }
+
+    /**
+     * Give tabs and panels ids and link them to each other
+     */
+    linkTabsToPanels() {
+      this.tabs.forEach((tab, index) => {
+        const panel = this.panels[index];
+        if (!tab.id) tab.id = `tab-${++idCounter}`;
+        if (tab.tagName === 'BUTTON') tab.type = 'button';
+        if (!panel) return;
+
+        panel.setAttribute('role', 'tabpanel');
+        if (!panel.hasAttribute('aria-labelledby')) {
+          panel.setAttribute('aria-labelledby', tab.id);
+        }
+      });
+    }
+
+    // ========================================================================
+    // Keyboard
+    // ========================================================================
+
+    /**
+     * Arrow, Home and End navigation between tabs
+     * @param {KeyboardEvent} event
+     */
+    handleKeydown(event) {
+      const currentIndex = this.tabs.indexOf(event.target);
+      if (currentIndex === -1) return;
+
+      const orientation = this.tablist.getAttribute('aria-orientation') === 'vertical' ? 'vertical' : 'horizontal';
+      const keys = TABS_CONFIG.keys[orientation];
+      const count = this.tabs.length;
+      let nextIndex;
+
+      switch (event.key) {
+        case keys.previous:
+          nextIndex = (currentIndex - 1 + count) % count;
+          break;
+        case keys.next:
+          nextIndex = (currentIndex + 1) % count;
+          break;
+        case 'Home':
+          nextIndex = 0;
+          break;
+        case 'End':
+          nextIndex = count - 1;
+          break;
+        case 'Enter':
+        case ' ':
+          if (!this.isManual) return;
+          event.preventDefault();
+          this.select(currentIndex);
+          return;
+        default:
+          return;
+      }
+
+      event.preventDefault();
+      if (this.isManual) {
+        this.tabs[nextIndex].focus();
+      } else {
+        this.select(nextIndex, { focus: true });
+      }
+    }
+
+    // ========================================================================
+    // Initialization
+    // ========================================================================
+
+    /**
+     * Wire up ARIA, select the initial tab and attach listeners
+     */
+    init() {
+      if (this.tabs.length === 0) return;
+
+      const { signal } = this.listeners;
+
+      this.linkTabsToPanels();
+
+      // Markup decides the initial tab; otherwise the first one
+      const initialIndex = this.tabs.findIndex(tab => tab.getAttribute('aria-selected') === 'true');
+      this.select(Math.max(initialIndex, 0));
+
+      this.tablist.addEventListener('click', event => {
+        const tab = event.target.closest(TABS_CONFIG.selectors.tab);
+        if (tab && this.tabs.includes(tab)) this.select(tab);
+      }, { signal });
+
+      this.tablist.addEventListener('keydown', event => this.handleKeydown(event), { signal });
+    }
+  }
+
+  // ==========================================================================
+  // Public API
+  // ==========================================================================
+
+  window.Flexiple = window.Flexiple || {};
+  window.Flexiple.Tabs = Tabs;
+  window.Flexiple.tabs = instances;
+
+  // ==========================================================================
+  // Initialization
+  // ==========================================================================
+
+  /**
+   * Create an instance for every [data-tabs] element
+   */
+  function initTabs() {
+    document.querySelectorAll('[data-tabs]').forEach(root => {
+      if (instances.has(root.dataset.tabs)) return;
+      new Tabs(root);
+    });
+
+    console.log(`Tabs initialized: ${Array.from(instances.keys()).join(', ')}`);
+  }
+
+  // Run on DOM ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initTabs);
+  } else {
+    initTabs();
+  }
+
+})();
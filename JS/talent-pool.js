@@ -0,0 +1,161 @@
+/**
+ * Talent Pool
+ *
+ * Features:
+ * 1. "Top Developers" / "Top pages" tabs (JS/tabs.js)
+ * 2. Panels with data-talent-pool-src are rendered from JSON the first time
+ *    they are shown
+ * 3. Entries naming a skill become skill links (JS/skills.js)
+ *
+ * Data format:
+ *   { "columns": [[{ "label": "Hire Python Developers", "skill": "Python" },
+ *                  { "label": "Client Testimonials", "href": "#testimonials-heading" }], …] }
+ */
+
+(function () {
+  'use strict';
+
+  // ==========================================================================
+  // Configuration
+  // ==========================================================================
+
+  const TALENT_POOL_CONFIG = {
+    selectors: {
+      root: '[data-tabs="talent-pool"]',
+      lazyPanel: '[data-talent-pool-src]'
+    },
+    classes: {
+      list: 'talent-pool__list',
+      link: 'talent-pool__link',
+      error: 'talent-pool__error'
+    },
+    labels: {
+      error: 'Couldn’t load these pages. Please try again later.'
+    }
+  };
+
+  // ==========================================================================
+  // State
+  // ==========================================================================
+
+  // Panels whose data has been requested
+  const loadedPanels = new WeakSet();
+
+  // ==========================================================================
+  // Rendering
+  // ==========================================================================
+
+  /**
+   * Build one column of links
+   * @param {Object[]} entries
+   * @returns {HTMLUListElement}
+   */
+  function createList(entries) {
+    const { classes } = TALENT_POOL_CONFIG;
+    const list = document.createElement('ul');
+    list.className = classes.list;
+
+    entries.forEach(entry => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.className = classes.link;
+      link.textContent = entry.label;
+      link.href = entry.href || '#profiles-heading';
+      if (entry.skill) link.dataset.skill = entry.skill;
+
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+
+    return list;
+  }
+
+  /**
+   * Replace a panel's content with its columns
+   * @param {HTMLElement} panel
+   * @param {Object} data
+   */
+  function render(panel, data) {
+    const columns = Array.isArray(data.columns) ? data.columns : [];
+    panel.replaceChildren(...columns.map(createList));
+
+    if (window.Flexiple.skills) {
+      window.Flexiple.skills.enhance(panel);
+    }
+  }
+
+  /**
+   * Fetch and render a lazy panel once
+   * @param {HTMLElement} panel
+   * @returns {Promise<void>}
+   */
+  function load(panel) {
+    if (loadedPanels.has(panel)) return Promise.resolve();
+    loadedPanels.add(panel);
+
+    const url = panel.dataset.talentPoolSrc;
+    panel.setAttribute('aria-busy', 'true');
+
+    return fetch(url)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+      })
+      .then(data => render(panel, data))
+      .catch(error => {
+        console.error(`Talent pool: could not load ${url}`, error);
+
+        const message = document.createElement('p');
+        message.className = TALENT_POOL_CONFIG.classes.error;
+        message.textContent = TALENT_POOL_CONFIG.labels.error;
+        panel.replaceChildren(message);
+        // Allow another attempt next time the tab is shown
+        loadedPanels.delete(panel);
+      })
+      .finally(() => {
+        panel.removeAttribute('aria-busy');
+      });
+  }
+
+  /**
+   * Load a panel the first time its tab is selected
+   * @param {CustomEvent} event - tabs:change
+   */
+  function handleTabChange(event) {
+    const { panel } = event.detail;
+    if (panel && panel.matches(TALENT_POOL_CONFIG.selectors.lazyPanel)) {
+      load(panel);
+    }
+  }
+
+  // ==========================================================================
+  // Initialization
+  // ==========================================================================
+
+  /**
+   * Initialize the talent pool panels
+   */
+  function initTalentPool() {
+    const root = document.querySelector(TALENT_POOL_CONFIG.selectors.root);
+    if (!root) return;
+
+    root.addEventListener('tabs:change', handleTabChange);
+
+    // A lazy panel may already be showing if it was selected before this ran
+    root.querySelectorAll(TALENT_POOL_CONFIG.selectors.lazyPanel).forEach(panel => {
+      if (!panel.hidden) load(panel);
+    });
+
+    console.log('Talent pool initialized');
+  }
+
+  // Run on DOM ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initTalentPool);
+  } else {
+    initTalentPool();
+  }
+
+})();
@@ -0,0 +1,501 @@
+/**
+ * Table of Contents
+ *
+ * Builds an "On this page" navigation for a long article. ES module for the
+ * `toc` component (registered in JS/main.js) on the article's section.
+ *
+ * Features:
+ * 1. Entries for the .gcc-title / .gcc-subtitle / .gcc-h4 headings, each
+ *    given a slug id so it can be linked to
+ * 2. Headings inside an FAQ answer are grouped under their question and only
+ *    listed while that answer is open; following one of their links opens it
+ * 3. Scroll-spy: the section being read gets aria-current (IntersectionObserver)
+ * 4. Reading progress bar for the whole article
+ * 5. In the sticky sidebar on desktop; a collapsible "On this page" bar at
+ *    the top of the article on smaller screens (JS/viewport.js)
+ */
+
+import { isAtMost, onBreakpointChange } from './viewport.js';
+import { faq } from './accordion.js';
+
+// ==========================================================================
+// Configuration
+// ==========================================================================
+
+const TOC_CONFIG = {
+  // Below this breakpoint the sidebar sits under the article, so the TOC moves to the top
+  compactBreakpoint: 'laptop',
+  // A heading becomes current once it passes this fraction of the viewport height
+  activeLine: 0.3,
+  selectors: {
+    content: '.gcc-content',
+    sidebar: '.gcc-sidebar',
+    headings: '.gcc-title, .gcc-subtitle, .gcc-h4',
+    question: '.faq__question',
+    answer: '.faq__answer'
+  },
+  // Heading class → nesting level: 1 is top level, 2 nests under the entry before it
+  levels: {
+    'gcc-title': 1,
+    'gcc-subtitle': 1,
+    'gcc-h4': 2
+  },
+  classes: {
+    root: 'toc',
+    compact: 'toc--compact',
+    heading: 'toc__heading',
+    toggle: 'toc__toggle',
+    toggleLabel: 'toc__toggle-label',
+    current: 'toc__current',
+    progress: 'toc__progress',
+    progressBar: 'toc__progress-bar',
+    list: 'toc__list',
+    sublist: 'toc__list toc__list--nested',
+    item: 'toc__item',
+    link: 'toc__link',
+    anchor: 'toc-anchor'
+  },
+  labels: {
+    title: 'On this page',
+    progress: 'Reading progress'
+  }
+};
+
+// Used for element ids of each table of contents
+let idCounter = 0;
+
+// ==========================================================================
+// Utility Functions
+// ==========================================================================
+
+/**
+ * Build a URL-safe id from heading text
+ * @param {string} text
+ * @returns {string}
+ */
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Give an element a unique slug id unless it already has one
+ * @param {HTMLElement} element
+ * @returns {string}
+ */
+function ensureId(element) {
+  if (element.id) return element.id;
+
+  const base = slugify(element.textContent) || 'section';
+  let id = base;
+  for (let suffix = 2; document.getElementById(id); suffix++) {
+    id = `${base}-${suffix}`;
+  }
+
+  element.id = id;
+  return id;
+}
+
+/**
+ * Visible text of a heading or question, without icons or extra whitespace
+ * @param {HTMLElement} element
+ * @returns {string}
+ */
+function getLabel(element) {
+  return element.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Whether an FAQ question's answer is open
+ * @param {HTMLElement|null} question
+ * @returns {boolean}
+ */
+function isExpanded(question) {
+  return Boolean(question) && question.getAttribute('aria-expanded') === 'true';
+}
+
+/**
+ * @returns {boolean}
+ */
+function prefersReducedMotion() {
+  return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+// ==========================================================================
+// Table of Contents
+// ==========================================================================
+
+export class TableOfContents {
+  /**
+   * @param {HTMLElement} root - Section containing the article and its sidebar
+   */
+  constructor(root) {
+    const { selectors } = TOC_CONFIG;
+
+    this.root = root;
+    this.content = root.querySelector(selectors.content);
+    this.sidebar = root.querySelector(selectors.sidebar);
+    // { target, link, item, question } in document order; question is set for FAQ headings
+    this.entries = [];
+    this.activeEntry = null;
+    this.isCompact = false;
+    this.isExpanded = false;
+    this.frame = null;
+    this.listeners = new AbortController();
+    this.observer = null;
+    this.unsubscribeBreakpoint = null;
+
+    this.id = ++idCounter;
+    this.init();
+  }
+
+  // ========================================================================
+  // Public API
+  // ========================================================================
+
+  /**
+   * Open or close the list in the compact bar
+   * @param {boolean} isExpanded
+   */
+  setExpanded(isExpanded) {
+    this.isExpanded = isExpanded;
+    this.toggle.setAttribute('aria-expanded', isExpanded.toString());
+    this.list.hidden = this.isCompact && !isExpanded;
+  }
+
+  /**
+   * Remove the navigation, observers and listeners; heading ids stay
+   */
+  destroy() {
+    this.listeners.abort();
+    if (this.observer) this.observer.disconnect();
+    if (this.unsubscribeBreakpoint) this.unsubscribeBreakpoint();
+    cancelAnimationFrame(this.frame);
+    if (this.nav) this.nav.remove();
+    this.entries.forEach(entry => entry.target.classList.remove(TOC_CONFIG.classes.anchor));
+  }
+
+  // ========================================================================
+  // Building
+  // ========================================================================
+
+  /**
+   * Collect headings into top-level entries and FAQ groups
+   * @returns {Object[]} Tree of { target, label, question, children }
+   */
+  collectEntries() {
+    const { selectors, levels } = TOC_CONFIG;
+    const tree = [];
+    // FAQ questions already added, by answer element
+    const groups = new Map();
+    let parent = null;
+
+    this.content.querySelectorAll(selectors.headings).forEach(heading => {
+      const levelClass = Object.keys(levels).find(name => heading.classList.contains(name));
+      const level = levels[levelClass] || 1;
+      const answer = heading.closest(selectors.answer);
+
+      if (answer) {
+        // Group under the question that reveals this answer
+        if (!groups.has(answer)) {
+          const question = answer.id
+            ? this.content.querySelector(`${selectors.question}[aria-controls="${CSS.escape(answer.id)}"]`)
+            : null;
+          if (!question) return;
+
+          const group = { target: question, label: getLabel(question), question: null, children: [] };
+          groups.set(answer, group);
+          tree.push(group);
+        }
+        const group = groups.get(answer);
+        group.children.push({ target: heading, label: getLabel(heading), question: group.target, children: [] });
+        return;
+      }
+
+      const entry = { target: heading, label: getLabel(heading), question: null, children: [] };
+      if (level > 1 && parent) {
+        parent.children.push(entry);
+      } else {
+        tree.push(entry);
+        parent = entry;
+      }
+    });
+
+    return tree;
+  }
+
+  /**
+   * Build a list of links for a set of entries, recording each one
+   * @param {Object[]} entries
+   * @param {string} className
+   * @returns {HTMLOListElement}
+   */
+  createList(entries, className) {
+    const { classes } = TOC_CONFIG;
+    const list = document.createElement('ol');
+    list.className = className;
+
+    entries.forEach(entry => {
+      const item = document.createElement('li');
+      item.className = classes.item;
+
+      const link = document.createElement('a');
+      link.className = classes.link;
+      link.href = `#${ensureId(entry.target)}`;
+      link.textContent = entry.label;
+      item.appendChild(link);
+
+      entry.target.classList.add(classes.anchor);
+      this.entries.push({ target: entry.target, link, item, question: entry.question });
+
+      if (entry.children.length > 0) {
+        const sublist = this.createList(entry.children, classes.sublist);
+        // Lists of FAQ headings follow their question's open state
+        const { question } = entry.children[0];
+        if (question) sublist.dataset.tocQuestion = question.id;
+        item.appendChild(sublist);
+      }
+
+      list.appendChild(item);
+    });
+
+    return list;
+  }
+
+  /**
+   * Create the navigation element
+   * @param {Object[]} tree
+   */
+  render(tree) {
+    const { classes, labels } = TOC_CONFIG;
+    const titleId = `toc-title-${this.id}`;
+    const listId = `toc-list-${this.id}`;
+
+    this.nav = document.createElement('nav');
+    this.nav.className = classes.root;
+    this.nav.setAttribute('aria-labelledby', titleId);
+    this.nav.innerHTML = `
+      <h2 class="${classes.heading}" id="${titleId}">${labels.title}</h2>
+      <button type="button" class="${classes.toggle}" aria-expanded="false" aria-controls="${listId}">
+        <span class="${classes.toggleLabel}">${labels.title}</span>
+        <span class="${classes.current}"></span>
+      </button>
+      <div class="${classes.progress}" role="progressbar" aria-label="${labels.progress}"
+        aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+        <span class="${classes.progressBar}"></span>
+      </div>
+    `;
+
+    this.heading = this.nav.querySelector(`.${classes.heading}`);
+    this.toggle = this.nav.querySelector(`.${classes.toggle}`);
+    this.currentLabel = this.nav.querySelector(`.${classes.current}`);
+    this.progress = this.nav.querySelector(`.${classes.progress}`);
+    this.progressBar = this.nav.querySelector(`.${classes.progressBar}`);
+
+    this.list = this.createList(tree, classes.list);
+    this.list.id = listId;
+    this.nav.appendChild(this.list);
+  }
+
+  // ========================================================================
+  // Placement
+  // ========================================================================
+
+  /**
+   * Put the navigation in the sidebar, or in a bar above the article on smaller screens
+   */
+  place() {
+    const { classes, compactBreakpoint } = TOC_CONFIG;
+    const isCompact = !this.sidebar || isAtMost(compactBreakpoint);
+    const container = isCompact ? this.content : this.sidebar;
+
+    this.isCompact = isCompact;
+    this.nav.classList.toggle(classes.compact, isCompact);
+    // In the bar, the toggle button names the navigation
+    this.heading.classList.toggle('visually-hidden', isCompact);
+    this.toggle.hidden = !isCompact;
+
+    if (this.nav.parentElement !== container) {
+      container.prepend(this.nav);
+    }
+
+    this.setExpanded(false);
+  }
+
+  // ========================================================================
+  // Scroll-spy & Progress
+  // ========================================================================
+
+  /**
+   * Show FAQ heading lists only while their answer is open
+   */
+  syncGroups() {
+    this.list.querySelectorAll('[data-toc-question]').forEach(sublist => {
+      sublist.hidden = !isExpanded(document.getElementById(sublist.dataset.tocQuestion));
+    });
+    this.updateActive();
+  }
+
+  /**
+   * Mark the entry of the section being read
+   */
+  updateActive() {
+    const line = window.innerHeight * TOC_CONFIG.activeLine;
+    let active = null;
+
+    this.entries.forEach(entry => {
+      if (entry.target.closest('[hidden]')) return;
+      if (entry.target.getBoundingClientRect().top <= line) active = entry;
+    });
+
+    active = active || this.entries.find(entry => !entry.target.closest('[hidden]')) || null;
+    if (active === this.activeEntry) return;
+
+    if (this.activeEntry) this.activeEntry.link.removeAttribute('aria-current');
+    this.activeEntry = active;
+    if (!active) return;
+
+    active.link.setAttribute('aria-current', 'true');
+    this.currentLabel.textContent = active.link.textContent;
+
+    // Keep the current entry in view in a scrollable sidebar list
+    if (!this.isCompact && this.list.scrollHeight > this.list.clientHeight) {
+      const linkTop = active.link.offsetTop - this.list.offsetTop;
+      if (linkTop < this.list.scrollTop || linkTop > this.list.scrollTop + this.list.clientHeight) {
+        this.list.scrollTop = linkTop - this.list.clientHeight / 2;
+      }
+    }
+  }
+
+  /**
+   * Share of the article that has been scrolled past
+   */
+  updateProgress() {
+    const rect = this.content.getBoundingClientRect();
+    const scrollable = rect.height - window.innerHeight;
+    const ratio = scrollable > 0 ? -rect.top / scrollable : (rect.top <= 0 ? 1 : 0);
+    const percent = Math.round(Math.min(Math.max(ratio, 0), 1) * 100);
+
+    this.progressBar.style.width = `${percent}%`;
+    this.progress.setAttribute('aria-valuenow', percent.toString());
+  }
+
+  /**
+   * Update progress at most once per frame while scrolling
+   */
+  handleScroll() {
+    if (this.frame) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.updateProgress();
+    });
+  }
+
+  // ========================================================================
+  // Navigation
+  // ========================================================================
+
+  /**
+   * Open the FAQ answer holding a target before the browser scrolls to it
+   * @param {Object} entry
+   */
+  reveal(entry) {
+    if (!entry.question || isExpanded(entry.question)) return;
+    faq.open(entry.question.getAttribute('aria-controls'), { trigger: 'reveal' });
+  }
+
+  /**
+   * Follow a link: reveal its heading, then let the anchor scroll
+   * @param {MouseEvent} event
+   */
+  handleLinkClick(event) {
+    const link = event.target.closest(`.${TOC_CONFIG.classes.link}`);
+    if (!link) return;
+
+    const entry = this.entries.find(item => item.link === link);
+    if (entry) this.reveal(entry);
+
+    if (this.isCompact) this.setExpanded(false);
+  }
+
+  /**
+   * Open the answer of a heading named in the URL hash
+   */
+  revealHashTarget() {
+    const id = decodeURIComponent(window.location.hash.slice(1));
+    const entry = id && this.entries.find(item => item.target.id === id);
+    if (!entry || !entry.question || isExpanded(entry.question)) return;
+
+    this.reveal(entry);
+    entry.target.scrollIntoView({ behavior: prefersReducedMotion() ? 'auto' : 'smooth', block: 'start' });
+  }
+
+  // ========================================================================
+  // Initialization
+  // ========================================================================
+
+  /**
+   * Build the navigation and start observing
+   */
+  init() {
+    if (!this.content) return;
+
+    const tree = this.collectEntries();
+    if (tree.length === 0) return;
+
+    const { signal } = this.listeners;
+
+    this.render(tree);
+    this.place();
+    this.syncGroups();
+    this.updateProgress();
+
+    this.toggle.addEventListener('click', () => this.setExpanded(!this.isExpanded), { signal });
+    this.list.addEventListener('click', event => this.handleLinkClick(event), { signal });
+    this.nav.addEventListener('keydown', event => {
+      if (event.key === 'Escape' && this.isCompact && this.isExpanded) {
+        this.setExpanded(false);
+        this.toggle.focus();
+      }
+    }, { signal });
+
+    // Headings crossing the active line change the current entry
+    this.observer = new IntersectionObserver(() => this.updateActive(), {
+      rootMargin: `0px 0px -${Math.round((1 - TOC_CONFIG.activeLine) * 100)}% 0px`
+    });
+    this.entries.forEach(entry => this.observer.observe(entry.target));
+
+    window.addEventListener('scroll', () => this.handleScroll(), { passive: true, signal });
+    document.addEventListener('faq:toggle', () => this.syncGroups(), { signal });
+    window.addEventListener('hashchange', () => this.revealHashTarget(), { signal });
+    this.unsubscribeBreakpoint = onBreakpointChange(() => this.place());
+
+    this.revealHashTarget();
+  }
+}
+
+// ==========================================================================
+// Component
+// ==========================================================================
+
+/**
+ * Build the table of contents for a `data-component="toc"` element
+ * @param {HTMLElement} root
+ * @returns {TableOfContents}
+ */
+export function init(root) {
+  const toc = new TableOfContents(root);
+  console.log(`Table of contents initialized: ${toc.entries.length} entries`);
+  return toc;
+}
+
+/**
+ * @param {HTMLElement} root
+ * @param {TableOfContents} toc - As returned by init
+ */
+export function destroy(root, toc) {
+  toc.destroy();
+}
@@ -0,0 +1,166 @@
+/**
+ * Viewport
+ *
+ * One shared, debounced resize listener for every module, instead of each
+ * one adding its own.
+ *
+ * Features:
+ * 1. onResize(callback): called once resizing settles
+ * 2. onBreakpointChange(callback): called only when the named breakpoint
+ *    (mobile / tablet / laptop / desktop) changes
+ * 3. Both return an unsubscribe function; the window listener is only
+ *    attached while someone is subscribed
+ * 4. ES module: import { onResize, isAtMost } from './viewport.js'
+ *
+ * Breakpoints are max-widths: mobile ≤ 480px, tablet ≤ 768px,
+ * laptop ≤ 1024px, desktop above.
+ */
+
+// ==========================================================================
+// Configuration
+// ==========================================================================
+
+const VIEWPORT_CONFIG = {
+  debounce: 150,
+  // Largest width of each breakpoint, smallest first; wider is desktop
+  breakpoints: {
+    mobile: 480,
+    tablet: 768,
+    laptop: 1024
+  },
+  fallback: 'desktop'
+};
+
+// ==========================================================================
+// State
+// ==========================================================================
+
+const resizeCallbacks = new Set();
+const breakpointCallbacks = new Set();
+let resizeTimer = null;
+let currentBreakpoint = null;
+let isListening = false;
+
+// ==========================================================================
+// Breakpoints
+// ==========================================================================
+
+/**
+ * Name of the breakpoint the viewport is in
+ * @param {number} [width=window.innerWidth]
+ * @returns {'mobile' | 'tablet' | 'laptop' | 'desktop'}
+ */
+export function getBreakpoint(width = window.innerWidth) {
+  const match = Object.entries(VIEWPORT_CONFIG.breakpoints)
+    .find(([, maxWidth]) => width <= maxWidth);
+  return match ? match[0] : VIEWPORT_CONFIG.fallback;
+}
+
+/**
+ * Whether the viewport is no wider than a breakpoint
+ * @param {'mobile' | 'tablet' | 'laptop'} name
+ * @returns {boolean}
+ */
+export function isAtMost(name) {
+  return window.innerWidth <= VIEWPORT_CONFIG.breakpoints[name];
+}
+
+// ==========================================================================
+// Resize Handling
+// ==========================================================================
+
+/**
+ * Call a subscriber without letting it break the others
+ * @param {Function} callback
+ * @param {Object} detail
+ */
+function notify(callback, detail) {
+  try {
+    callback(detail);
+  } catch (error) {
+    console.error('Viewport: resize callback failed', error);
+  }
+}
+
+/**
+ * Run subscribers once resizing has settled
+ */
+function handleResizeEnd() {
+  resizeTimer = null;
+
+  const width = window.innerWidth;
+  const breakpoint = getBreakpoint(width);
+  const previous = currentBreakpoint;
+  currentBreakpoint = breakpoint;
+
+  const detail = { width, height: window.innerHeight, breakpoint, previous };
+
+  resizeCallbacks.forEach(callback => notify(callback, detail));
+  if (breakpoint !== previous) {
+    breakpointCallbacks.forEach(callback => notify(callback, detail));
+  }
+}
+
+/**
+ * Debounce window resize events
+ */
+function handleResize() {
+  clearTimeout(resizeTimer);
+  resizeTimer = setTimeout(handleResizeEnd, VIEWPORT_CONFIG.debounce);
+}
+
+/**
+ * Attach the window listener while there are subscribers, and only then
+ */
+function syncListener() {
+  const hasSubscribers = resizeCallbacks.size > 0 || breakpointCallbacks.size > 0;
+
+  if (hasSubscribers && !isListening) {
+    currentBreakpoint = getBreakpoint();
+    window.addEventListener('resize', handleResize);
+    isListening = true;
+  } else if (!hasSubscribers && isListening) {
+    window.removeEventListener('resize', handleResize);
+    clearTimeout(resizeTimer);
+    resizeTimer = null;
+    isListening = false;
+  }
+}
+
+/**
+ * Add a callback to a set and return a function that removes it again
+ * @param {Set<Function>} callbacks
+ * @param {Function} callback
+ * @returns {Function} Unsubscribe
+ */
+function subscribe(callbacks, callback) {
+  callbacks.add(callback);
+  syncListener();
+
+  return () => {
+    callbacks.delete(callback);
+    syncListener();
+  };
+}
+
+// ==========================================================================
+// Public API
+// ==========================================================================
+
+/**
+ * Run a callback after each (debounced) resize
+ * @param {Function} callback - Receives { width, height, breakpoint, previous }
+ * @returns {Function} Unsubscribe
+ */
+export function onResize(callback) {
+  return subscribe(resizeCallbacks, callback);
+}
+
+/**
+ * Run a callback when the viewport moves into another breakpoint
+ * @param {Function} callback - Receives { width, height, breakpoint, previous }
+ * @returns {Function} Unsubscribe
+ */
+export function onBreakpointChange(callback) {
+  return subscribe(breakpointCallbacks, callback);
+}